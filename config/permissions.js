@@ -0,0 +1,89 @@
+// Permission catalogue and the roles seeded on first start.
+// Roles live in the database (see models/Role.js) and can be edited by an admin;
+// these defaults are only inserted when a role with that name does not exist yet.
+
+const PERMISSIONS = {
+  'medicines:read': 'View clinic stock',
+  'medicines:write': 'Add, edit and delete medicines',
+  'products:manage': 'Edit the product catalog and merge medicines into it',
+  'prices:manage': 'Edit clinic price lists',
+  'prices:approve': 'Issue approval codes for prices outside the margin and discount limits',
+  'expiry:writeoff': 'Write off expired stock',
+  'expiry:override': 'Sell or transfer expired stock',
+  'sales:read': 'View sales lists and own sales stats',
+  'sales:create': 'Record sales',
+  'sales:edit': 'Edit recorded sales',
+  'sales:delete': 'Delete recorded sales (no longer used: sales are reversed with returns)',
+  'sales:return': 'Record customer returns and refunds',
+  'shifts:operate': 'Open and close own till shifts',
+  'shifts:manage': 'View and close other cashiers\' shifts',
+  'transfers:read': 'View transfer history',
+  'transfers:create': 'Request, dispatch and receive stock transfers',
+  'transfers:approve': 'Approve, reject and reverse stock transfers',
+  'reports:read': 'View analytics and monthly reports',
+  'purchasing:read': 'View suppliers, purchase orders and purchasing reports',
+  'purchasing:manage': 'Manage suppliers and create, place and cancel purchase orders',
+  'purchasing:receive': 'Post goods receipts against purchase orders',
+  'stocktake:count': 'Start stock takes, enter counts and submit them',
+  'stocktake:approve': 'Approve stock takes and post their adjustments',
+  'settings:read': 'Read global settings',
+  'settings:manage': 'Change global settings',
+  'roles:manage': 'Create and edit roles',
+  'users:manage': 'View and manage other users',
+  'audit:read': 'Query the audit log',
+  'profile:update': 'Update own profile',
+  'clinics:all': 'Access every clinic instead of only the assigned one',
+  'clinics:manage': 'Create, edit and deactivate clinics'
+};
+
+// '*' grants every permission
+const ALL = '*';
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every clinic',
+    permissions: [ALL]
+  },
+  {
+    name: 'worker',
+    description: 'Runs a single clinic: stock, sales, transfers and reports',
+    permissions: [
+      'medicines:read', 'medicines:write', 'expiry:writeoff',
+      'sales:read', 'sales:create', 'sales:edit', 'sales:return',
+      'shifts:operate', 'shifts:manage',
+      'transfers:read', 'transfers:create',
+      'purchasing:read', 'purchasing:manage', 'purchasing:receive',
+      'stocktake:count',
+      'reports:read', 'settings:read', 'profile:update'
+    ]
+  },
+  {
+    name: 'cashier',
+    description: 'Rings up sales',
+    permissions: ['medicines:read', 'sales:read', 'sales:create', 'shifts:operate', 'settings:read', 'profile:update']
+  },
+  {
+    name: 'pharmacist',
+    description: 'Manages stock and sales',
+    permissions: [
+      'medicines:read', 'medicines:write', 'expiry:writeoff',
+      'sales:read', 'sales:create', 'sales:edit', 'sales:return',
+      'shifts:operate',
+      'transfers:read', 'transfers:create',
+      'purchasing:read', 'purchasing:receive',
+      'stocktake:count',
+      'settings:read', 'profile:update'
+    ]
+  },
+  {
+    name: 'auditor',
+    description: 'Read-only access to stock, sales and reports across clinics',
+    permissions: [
+      'medicines:read', 'sales:read', 'transfers:read', 'purchasing:read', 'reports:read',
+      'settings:read', 'profile:update', 'clinics:all'
+    ]
+  }
+];
+
+module.exports = { PERMISSIONS, ALL, DEFAULT_ROLES };
@@ -0,0 +1,51 @@
+// Scheduled job: flag lots whose expiry date has passed as quarantined, so they stop being
+// sold or transferred and show up for write-off.
+const Medicine = require('../models/Medicine');
+const { ensureLots } = require('../services/inventory');
+const { recordAudit, snapshot } = require('../services/audit');
+
+const quarantineExpired = async (now = new Date()) => {
+  const medicines = await Medicine.find({
+    $or: [
+      { lots: { $elemMatch: { quantity: { $gt: 0 }, quarantined: { $ne: true }, expiryDate: { $lte: now } } } },
+      // Stock recorded before lot tracking
+      { lots: { $size: 0 }, quantity: { $gt: 0 }, expiryDate: { $lte: now } }
+    ]
+  });
+  let lots = 0;
+  for (const medicine of medicines) {
+    const before = snapshot(medicine);
+    ensureLots(medicine);
+    medicine.lots.forEach(lot => {
+      if (!lot.quarantined && lot.quantity > 0 && lot.expiryDate && lot.expiryDate <= now) {
+        lot.quarantined = true;
+        lot.quarantinedAt = now;
+        lots += 1;
+      }
+    });
+    await medicine.save();
+    await recordAudit({
+      action: 'quarantine',
+      entity: 'medicine',
+      entityId: medicine._id,
+      clinic: medicine.clinic,
+      before,
+      after: medicine
+    });
+  }
+  return { medicines: medicines.length, lots };
+};
+
+// Run now and then every EXPIRY_JOB_INTERVAL_MINUTES (default 60)
+const startExpiryJob = () => {
+  const minutes = Number(process.env.EXPIRY_JOB_INTERVAL_MINUTES) || 60;
+  const run = () => quarantineExpired()
+    .then(result => {
+      if (result.lots > 0) console.log(`Quarantined ${result.lots} expired lots in ${result.medicines} medicines`);
+    })
+    .catch(err => console.error('Expiry job failed:', err));
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
+
+module.exports = { quarantineExpired, startExpiryJob };
@@ -0,0 +1,41 @@
+// Scheduled job: rebuild every medicine's quantity from the stock ledger and report
+// medicines whose stored quantity has drifted from it.
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const { ledgerBalances } = require('../services/stockLedger');
+
+const reconcileStock = async (clinic) => {
+  const medicines = await Medicine.find(clinic ? { clinic } : {}, 'name clinic quantity');
+  const balances = await ledgerBalances(clinic ? { clinic: new mongoose.Types.ObjectId(clinic) } : {});
+  const drift = [];
+  medicines.forEach(medicine => {
+    const ledgerQuantity = balances[String(medicine._id)] || 0;
+    if (ledgerQuantity !== medicine.quantity) {
+      drift.push({
+        medicine: medicine._id,
+        name: medicine.name,
+        clinic: medicine.clinic,
+        quantity: medicine.quantity,
+        ledgerQuantity,
+        drift: medicine.quantity - ledgerQuantity
+      });
+    }
+  });
+  return { checkedAt: new Date(), checked: medicines.length, drift };
+};
+
+// Run every RECONCILE_JOB_INTERVAL_HOURS (default 24)
+const startReconcileJob = () => {
+  const hours = Number(process.env.RECONCILE_JOB_INTERVAL_HOURS) || 24;
+  const run = () => reconcileStock()
+    .then(result => {
+      if (result.drift.length > 0) {
+        console.warn(`Stock reconcile: ${result.drift.length} of ${result.checked} medicines differ from the ledger`);
+        result.drift.forEach(d => console.warn(`  ${d.name} (${d.medicine}): stored ${d.quantity}, ledger ${d.ledgerQuantity}`));
+      }
+    })
+    .catch(err => console.error('Stock reconcile failed:', err));
+  return setInterval(run, hours * 60 * 60 * 1000);
+};
+
+module.exports = { reconcileStock, startReconcileJob };
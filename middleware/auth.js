@@ -0,0 +1,116 @@
+// Shared authentication, permission and clinic scoping middleware used by every router
+const jwt = require('jsonwebtoken');
+const Role = require('../models/Role');
+const Clinic = require('../models/Clinic');
+const { ALL, DEFAULT_ROLES } = require('../config/permissions');
+const { isSessionActive } = require('../services/sessions');
+
+// Role permissions are cached briefly so every request does not hit the database
+const PERMISSION_CACHE_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const getRolePermissions = async (roleName) => {
+  const cached = permissionCache.get(roleName);
+  if (cached && cached.expires > Date.now()) return cached.permissions;
+
+  const role = await Role.findOne({ name: roleName });
+  const fallback = DEFAULT_ROLES.find(r => r.name === roleName);
+  const permissions = role ? role.permissions : (fallback ? fallback.permissions : []);
+  permissionCache.set(roleName, { permissions, expires: Date.now() + PERMISSION_CACHE_MS });
+  return permissions;
+};
+
+// Called after roles are edited so changes apply immediately
+const clearPermissionCache = () => permissionCache.clear();
+
+// Middleware to verify JWT token, check its session has not been revoked and load the caller's permissions
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  try {
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+    // Temporary passwords only allow changing the password (POST /api/auth/reset-password)
+    if (decoded.mustChangePassword) {
+      return res.status(403).json({ message: 'Change your temporary password first', mustChangePassword: true });
+    }
+    req.user = {
+      userId: decoded.userId,
+      name: decoded.name,
+      email: decoded.email,
+      role: decoded.role,
+      clinic: decoded.clinic,
+      sessionId: decoded.sid,
+      permissions: await getRolePermissions(decoded.role)
+    };
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+const hasPermission = (user, permission) =>
+  !!user && !!user.permissions && (user.permissions.includes(ALL) || user.permissions.includes(permission));
+
+// Middleware to require every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(p => !hasPermission(req.user, p));
+  if (missing.length === 0) return next();
+  res.status(403).json({ message: `Access denied: requires ${missing.join(', ')}` });
+};
+
+const isAdmin = (user) => !!user && user.role === 'admin';
+
+// Whether a user may assign a role or manage users holding it: only callers with '*' may touch
+// admin-level roles, everyone else only roles whose permissions they hold themselves
+const canManageRole = async (user, roleName) => {
+  if (hasPermission(user, ALL)) return true;
+  if (!roleName || roleName === 'admin') return false;
+  const permissions = await getRolePermissions(roleName);
+  return !permissions.includes(ALL) && permissions.every(p => hasPermission(user, p));
+};
+
+// Users with clinics:all work across clinics, everyone else is pinned to their own
+const hasAllClinics = (user) => hasPermission(user, 'clinics:all');
+
+// The clinic id a request should act on. Cross-clinic users choose freely (no clinic means
+// all clinics); everyone else defaults to their own clinic.
+const requestedClinic = (req, clinic) => {
+  const id = clinic ? String(clinic) : null;
+  if (hasAllClinics(req.user)) return id;
+  return id || req.user.clinic;
+};
+
+const canAccessClinic = (user, clinic) => {
+  if (clinic && !Clinic.isClinicId(clinic)) return false;
+  if (hasAllClinics(user)) return true;
+  return !!clinic && !!user && !!user.clinic && String(clinic) === String(user.clinic);
+};
+
+const denyClinic = (res) => res.status(403).json({ message: 'Access denied for this clinic' });
+
+module.exports = {
+  verifyToken,
+  requirePermission,
+  hasPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  isAdmin,
+  canManageRole,
+  hasAllClinics,
+  requestedClinic,
+  canAccessClinic,
+  denyClinic
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use code an admin hands to a cashier to allow a price outside the margin and
+// discount limits. Only a hash of the code is stored.
+const approvalCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true },
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' }, // Not set: valid in every clinic
+  note: String,
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  issuedByName: String,
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  usedByName: String
+}, { timestamps: true });
+
+approvalCodeSchema.index({ codeHash: 1, usedAt: 1 });
+
+module.exports = mongoose.model('ApprovalCode', approvalCodeSchema);
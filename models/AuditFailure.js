@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Audit entries that could not be added to the chain. Kept so the gap is visible and the entry
+// can be looked at later; the audit verify report counts them.
+const auditFailureSchema = new mongoose.Schema({
+  entry: mongoose.Schema.Types.Mixed, // The entry as it would have been written, without seq and hashes
+  error: String,
+  at: { type: Date, default: Date.now }
+}, { minimize: false });
+
+auditFailureSchema.index({ at: -1 });
+
+module.exports = mongoose.model('AuditFailure', auditFailureSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Latest sequence number and hash of the audit chain, kept apart from the log itself so that
+// deleting the newest entries can be noticed (see services/audit.js verifyAuditChain)
+const auditHeadSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, required: true },
+  hash: { type: String, required: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AuditHead', auditHeadSchema);
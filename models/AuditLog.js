@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail. Each entry stores the hash of the previous one, so editing
+// or deleting an entry breaks the chain (see services/audit.js verifyAuditChain).
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: String,
+  clinic: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  ip: String,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, { minimize: false });
+
+auditLogSchema.index({ clinic: 1, at: -1 });
+auditLogSchema.index({ actor: 1, at: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, at: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
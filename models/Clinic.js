@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const clinicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  address: String,
+  contact: String, // Phone number or contact person
+  timezone: {
+    type: String,
+    default: 'Asia/Karachi' // Used to work out local dates for daily reports
+  },
+  expiryAlertDays: Number, // Near-expiry window for this clinic; falls back to the expiryAlertDays setting
+  // { category: percent } overriding the taxRates setting per category
+  taxRates: {
+    type: mongoose.Schema.Types.Mixed,
+    validate: {
+      validator: (rates) => rates === null || rates === undefined ||
+        (typeof rates === 'object' && Object.values(rates).every(rate => typeof rate === 'number' && rate >= 0 && rate <= 100)),
+      message: 'Tax rates must be percentages between 0 and 100'
+    }
+  },
+  pricesIncludeTax: Boolean, // Overrides the pricesIncludeTax setting
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+const isClinicId = (id) => /^[a-f\d]{24}$/i.test(String(id || ''));
+
+// True if the id belongs to an active clinic
+clinicSchema.statics.isActiveId = async function(id) {
+  if (!isClinicId(id)) return false;
+  return !!(await this.exists({ _id: id, active: true }));
+};
+
+clinicSchema.statics.isClinicId = isClinicId;
+
+module.exports = mongoose.model('Clinic', clinicSchema);
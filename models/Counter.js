@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (purchase order numbers, invoice numbers, ...)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically take the next number of a sequence (starts at 1)
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
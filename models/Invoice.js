@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One tender of a payment; cash may be more than due, the difference is given back as change
+const paymentSchema = new mongoose.Schema({
+  method: { type: String, enum: ['cash', 'card', 'mobile_wallet', 'credit'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  reference: String
+}, { _id: false });
+
+// A checkout of several items. Each line is a Sale pointing back to the invoice.
+const invoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true }, // e.g. INV-000042, sequential per clinic
+  sequence: { type: Number, required: true },
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  sales: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Sale' }],
+  itemCount: { type: Number, default: 0 }, // Units over all lines
+  subtotal: { type: Number, default: 0 },
+  discount: { type: { type: String, enum: ['percent', 'fixed'] }, value: Number }, // Invoice discount as entered
+  discountAmount: { type: Number, default: 0 }, // Line and invoice discounts together
+  taxAmount: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }, // Amount paid
+  payments: { type: [paymentSchema], default: [] },
+  changeGiven: { type: Number, default: 0 },
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  customerName: String,
+  notes: String,
+  soldBy: { type: String, required: true }, // user id
+  soldByName: String,
+  soldAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+invoiceSchema.index({ clinic: 1, number: 1 }, { unique: true });
+invoiceSchema.index({ clinic: 1, soldAt: -1 });
+invoiceSchema.index({ shift: 1 });
+
+// Counter (models/Counter.js) holding a clinic's invoice sequence
+invoiceSchema.statics.counterName = (clinic) => `invoice:${clinic}`;
+
+// Recompute the totals from the invoice's sales, after a line was edited or removed
+invoiceSchema.statics.refreshTotals = async function(id, session) {
+  const sales = await mongoose.model('Sale').find({ invoice: id }).session(session || null);
+  return this.findByIdAndUpdate(id, {
+    sales: sales.map(sale => sale._id),
+    itemCount: sales.reduce((sum, sale) => sum + sale.quantity, 0),
+    subtotal: sales.reduce((sum, sale) => sum + (sale.subtotal ?? sale.quantity * sale.rate), 0),
+    discountAmount: sales.reduce((sum, sale) => sum + (sale.discountAmount || 0), 0),
+    taxAmount: sales.reduce((sum, sale) => sum + (sale.taxAmount || 0), 0),
+    total: sales.reduce((sum, sale) => sum + sale.total, 0)
+  }, { new: true, session });
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
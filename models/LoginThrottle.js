@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (key "account:<email>") or one client (key "ip:<address>")
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: Date,
+  lastFailureAt: Date,
+  // Progressive delay: no attempt is checked before this time
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Removed by MongoDB once the counter is stale
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
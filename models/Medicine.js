@@ -1,18 +1,45 @@
 const mongoose = require('mongoose');
 
+// A batch of stock with its own expiry and cost. Sales consume lots first-expiry-first-out.
+const lotSchema = new mongoose.Schema({
+  batchNumber: { type: String, trim: true },
+  expiryDate: { type: Date },
+  quantity: { type: Number, required: true, min: 0 },
+  purchasePrice: { type: Number, min: 0 },
+  receivedAt: { type: Date, default: Date.now },
+  quarantined: { type: Boolean, default: false }, // Set by the expiry job once the lot has expired
+  quarantinedAt: { type: Date }
+});
+
 const medicineSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // Catalog entry; empty until linked
   description: String,
-  quantity: { type: Number, required: true, min: 0 },
-  purchasePrice: { type: Number, required: true, min: 0 }, // Only store purchase price, selling price set by workers
-  clinic: { type: String, required: true }, // For multi-clinic support
+  quantity: { type: Number, required: true, min: 0 }, // Total of all lots
+  purchasePrice: { type: Number, required: true, min: 0 }, // Cost price; selling prices come from the clinic's price list (models/PriceList.js)
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true }, // For multi-clinic support
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
-  expiryDate: { type: Date }, // Expiry date for the medicine
+  expiryDate: { type: Date }, // Earliest expiry among lots still in stock
+  lots: { type: [lotSchema], default: [] },
+  quarantinedQuantity: { type: Number, default: 0 }, // Stock in quarantined lots, waiting to be written off
+  minQuantity: { type: Number, default: 0, min: 0 }, // Low-stock threshold for this clinic (0 = no alert)
+  reorderQuantity: { type: Number, default: 0, min: 0 }, // Usual order size when stock runs low
 });
 
 medicineSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // Medicines created before lot tracking have no lots; their quantity is kept as is
+  if (this.lots.length > 0) {
+    this.quantity = this.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const expiries = this.lots
+      .filter(lot => lot.quantity > 0 && lot.expiryDate)
+      .map(lot => lot.expiryDate.getTime());
+    this.expiryDate = expiries.length > 0 ? new Date(Math.min(...expiries)) : undefined;
+    this.quarantinedQuantity = this.lots
+      .filter(lot => lot.quarantined)
+      .reduce((sum, lot) => sum + lot.quantity, 0);
+  }
   next();
 });
 
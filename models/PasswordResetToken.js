@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Single-use forgot-password token. Only the SHA-256 hash of the token is stored.
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestedIp: String
+}, { timestamps: true });
+
+// Let MongoDB drop tokens once they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
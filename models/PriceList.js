@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One selling price of a medicine in a clinic, valid from effectiveFrom until effectiveTo
+// (open-ended when not set). When entries overlap the one that started last applies.
+// An entry for a catalog product covers every stock row of that product in the clinic.
+const priceListSchema = new mongoose.Schema({
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  medicineName: String,
+  mrp: { type: Number, min: 0 }, // Maximum retail price printed on the pack
+  retailPrice: { type: Number, required: true, min: 0 }, // Default rate at sale time
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  effectiveTo: Date,
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String
+}, { timestamps: true });
+
+priceListSchema.index({ clinic: 1, medicine: 1, effectiveFrom: -1 });
+priceListSchema.index({ clinic: 1, product: 1, effectiveFrom: -1 });
+
+priceListSchema.pre('validate', function(next) {
+  if (!this.medicine && !this.product) return next(new Error('A price needs a medicine or a product'));
+  if (this.mrp !== undefined && this.mrp !== null && this.retailPrice > this.mrp) {
+    return next(new Error('Retail price cannot be above the MRP'));
+  }
+  if (this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    return next(new Error('effectiveTo must be after effectiveFrom'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('PriceList', priceListSchema);
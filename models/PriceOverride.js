@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A sale line whose rate differs from the clinic's price list, or that was sold without a
+// list price. Lines outside the margin or discount limits carry the approval that allowed them.
+const priceOverrideSchema = new mongoose.Schema({
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' },
+  medicineName: String,
+  quantity: Number,
+  rate: { type: Number, required: true }, // Rate charged
+  netRate: Number, // Rate per unit after discounts
+  listPrice: Number, // Retail price in force, if any
+  mrp: Number,
+  unitCost: Number,
+  violations: [{ _id: false, rule: String, message: String, limit: Number }],
+  approvalCode: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalCode' },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedByName: String,
+  soldBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  soldByName: String,
+  at: { type: Date, default: Date.now }
+});
+
+priceOverrideSchema.index({ clinic: 1, at: -1 });
+
+module.exports = mongoose.model('PriceOverride', priceOverrideSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Catalog entry for a drug, shared by every clinic. Clinic stock rows (Medicine) point to it.
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // Display name, e.g. "Panadol 500mg Tablet"
+  genericName: { type: String, trim: true }, // e.g. "Paracetamol"
+  brand: { type: String, trim: true },
+  strength: { type: String, trim: true }, // e.g. "500mg"
+  dosageForm: { type: String, trim: true }, // e.g. "Tablet", "Syrup"
+  packSize: { type: String, trim: true }, // e.g. "10x10"
+  manufacturer: { type: String, trim: true },
+  taxCategory: { type: String, trim: true }, // Key into the taxRates setting; 'default' when not set
+  barcodes: { type: [String], default: [] }, // One per pack variant; unique across products
+  aliases: { type: [String], default: [] }, // Clinic names merged into this product
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+// Empty barcode lists are indexed as one shared value, so only products with a barcode are indexed
+productSchema.index({ barcodes: 1 }, { unique: true, partialFilterExpression: { 'barcodes.0': { $exists: true } } });
+productSchema.index({ name: 1 });
+productSchema.index({ genericName: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
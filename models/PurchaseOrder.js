@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
+const orderItemSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' }, // Set on receipt if the medicine is new to the clinic
+  medicineName: { type: String, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // Catalog entry, used to find or create the clinic's stock row
+  quantity: { type: Number, required: true, min: 1 },
+  unitCost: { type: Number, required: true, min: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 }
+});
+
+// One goods-receipt posting; an order can be received in several deliveries
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedByName: String,
+  items: [{
+    _id: false,
+    item: mongoose.Schema.Types.ObjectId, // Order line
+    medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' },
+    lot: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    unitCost: Number,
+    batchNumber: String,
+    expiryDate: Date
+  }],
+  total: Number
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true }, // e.g. PO-000042
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  status: { type: String, enum: STATUSES, default: 'draft' },
+  items: { type: [orderItemSchema], default: [] },
+  receipts: { type: [receiptSchema], default: [] },
+  total: { type: Number, default: 0 }, // Ordered value
+  notes: String,
+  expectedDate: Date,
+  orderedAt: Date,
+  receivedAt: Date, // When the last outstanding item arrived
+  cancelledAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String
+}, { timestamps: true });
+
+purchaseOrderSchema.index({ clinic: 1, status: 1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+purchaseOrderSchema.pre('save', function(next) {
+  this.total = this.items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0);
+  next();
+});
+
+purchaseOrderSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL, DEFAULT_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: String,
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (perms) => perms.every(p => p === ALL || PERMISSIONS[p]),
+      message: 'Unknown permission in role'
+    }
+  },
+  // Built-in roles can be edited but not deleted
+  system: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Insert any default role that does not exist yet (existing roles are left untouched)
+roleSchema.statics.ensureDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, system: true } },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('Role', roleSchema);
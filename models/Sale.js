@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Lot a sale took stock from, copied so the sale still reads correctly if the lot changes
+const saleLotSchema = new mongoose.Schema({
+  lot: { type: mongoose.Schema.Types.ObjectId },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: { type: Number, required: true },
+  purchasePrice: Number
+}, { _id: false });
+
+// One tender of a payment; cash may be more than due, the difference is given back as change
+const paymentSchema = new mongoose.Schema({
+  method: { type: String, enum: ['cash', 'card', 'mobile_wallet', 'credit'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  reference: String // Card slip, wallet transaction id, ...
+}, { _id: false });
+
+const SaleSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: String,
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // Catalog entry of the medicine when sold
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // Set for lines of a multi-item checkout
+  invoiceNumber: String,
+  quantity: { type: Number, required: true },
+  rate: { type: Number, required: true },
+  listPrice: Number, // Clinic list price when sold (models/PriceList.js), if there was one
+  subtotal: Number, // quantity x rate
+  discount: { type: { type: String, enum: ['percent', 'fixed'] }, value: Number }, // Line discount as entered
+  discountAmount: { type: Number, default: 0 }, // Line discount plus the line's share of an invoice discount
+  invoiceDiscountAmount: { type: Number, default: 0 }, // The share of the invoice discount
+  taxRate: Number, // Percent
+  taxAmount: { type: Number, default: 0 },
+  pricesIncludeTax: Boolean,
+  total: { type: Number, required: true }, // Amount paid for the line: subtotal less discounts, plus tax when prices exclude it
+  soldBy: { type: String, required: true }, // user email or id
+  soldByName: String,
+  soldAt: { type: Date, default: Date.now },
+  customerName: String,
+  // Sales that are part of an invoice are paid on the invoice
+  payments: { type: [paymentSchema], default: undefined },
+  changeGiven: Number,
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  lots: { type: [saleLotSchema], default: [] }, // Empty for sales recorded before lot tracking
+  expiryOverride: { type: Boolean, default: false }, // Sold with permission to use expired stock
+  returnedQuantity: { type: Number, default: 0 }, // Units taken back by customer returns (models/SaleReturn.js)
+  returnedLots: { type: [saleLotSchema], default: [] },
+});
+
+SaleSchema.index({ invoice: 1 });
+SaleSchema.index({ shift: 1 });
+
+module.exports = mongoose.model('Sale', SaleSchema);
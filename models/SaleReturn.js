@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const REASON_CODES = ['changed_mind', 'wrong_item', 'damaged', 'expired', 'adverse_reaction', 'prescription_changed', 'other'];
+// restock: back into sellable stock; damaged: taken back and written off
+const DISPOSITIONS = ['restock', 'damaged'];
+
+const returnLotSchema = new mongoose.Schema({
+  lot: { type: mongoose.Schema.Types.ObjectId },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: { type: Number, required: true },
+  purchasePrice: Number
+}, { _id: false });
+
+const returnLineSchema = new mongoose.Schema({
+  sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' },
+  medicineName: String,
+  quantity: { type: Number, required: true, min: 1 },
+  rate: Number, // Rate the item was sold at
+  refundAmount: { type: Number, required: true, min: 0 },
+  taxAmount: { type: Number, default: 0 }, // Tax included in the refund
+  unitCost: Number, // Purchase price of the returned units
+  disposition: { type: String, enum: DISPOSITIONS, default: 'restock' },
+  reasonCode: { type: String, enum: REASON_CODES },
+  lots: { type: [returnLotSchema], default: [] }, // Lots of the sale the units came from
+  writeOff: { type: mongoose.Schema.Types.ObjectId, ref: 'WriteOff' } // Damaged units only
+});
+
+// A customer return against one sale or the sales of one invoice. The original sales stay as
+// they were; reports subtract returns from gross sales.
+const saleReturnSchema = new mongoose.Schema({
+  number: { type: String, required: true }, // e.g. RET-000007, sequential per clinic
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  invoiceNumber: String,
+  lines: { type: [returnLineSchema], default: [] },
+  quantity: { type: Number, default: 0 },
+  refundTotal: { type: Number, default: 0 },
+  refundMethod: { type: String, enum: ['cash', 'card', 'mobile_wallet', 'credit'], default: 'cash' },
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' }, // Till shift the refund was paid from
+  taxTotal: { type: Number, default: 0 },
+  reasonCode: { type: String, enum: REASON_CODES, default: 'other' },
+  notes: String,
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processedByName: String,
+  returnedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+saleReturnSchema.index({ clinic: 1, number: 1 }, { unique: true });
+saleReturnSchema.index({ clinic: 1, returnedAt: -1 });
+saleReturnSchema.index({ 'lines.sale': 1 });
+saleReturnSchema.index({ shift: 1 });
+
+saleReturnSchema.pre('save', function(next) {
+  this.quantity = this.lines.reduce((sum, line) => sum + line.quantity, 0);
+  this.refundTotal = this.lines.reduce((sum, line) => sum + line.refundAmount, 0);
+  this.taxTotal = this.lines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  next();
+});
+
+saleReturnSchema.statics.REASON_CODES = REASON_CODES;
+saleReturnSchema.statics.DISPOSITIONS = DISPOSITIONS;
+
+module.exports = mongoose.model('SaleReturn', saleReturnSchema);
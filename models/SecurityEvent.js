@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Record of security relevant events such as lockouts, kept for review by an admin
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked', 'ip_locked', 'account_unlocked', 'ip_unlocked', 'approval_locked'],
+    required: true
+  },
+  email: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+securityEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A login session backing one rotating refresh token.
+// Only hashes of refresh tokens are stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means the token leaked
+  previousHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  userAgent: String,
+  ip: String
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'closed'];
+
+// A cashier's session at the till: cash starts at the opening float, sales and refunds recorded
+// while it is open are tied to it, and closing it compares the counted cash with what is expected.
+const shiftSchema = new mongoose.Schema({
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  cashier: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  cashierName: String,
+  status: { type: String, enum: STATUSES, default: 'open' },
+  openingFloat: { type: Number, default: 0, min: 0 },
+  openedAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedByName: String,
+  expectedCash: Number, // Float plus cash taken less change and cash refunds
+  countedCash: Number,
+  variance: Number, // counted - expected
+  notes: String,
+  zReportNumber: String, // e.g. Z-000012, sequential per clinic, given on close
+  zReport: mongoose.Schema.Types.Mixed // Totals as they were when the shift closed
+}, { timestamps: true });
+
+shiftSchema.index({ clinic: 1, openedAt: -1 });
+// One open shift per cashier
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+shiftSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Shift', shiftSchema);
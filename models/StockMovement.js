@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'opening', // Stock on hand when the medicine was created (or when the ledger started)
+  'sale',
+  'sale_reversal', // Sale edited (or deleted, before returns replaced deleting)
+  'return', // Customer return
+  'transfer_out',
+  'transfer_in',
+  'receipt', // Goods received from a supplier or a manual restock
+  'adjustment', // Manual correction or stock-take
+  'write_off'
+];
+
+// Append-only stock ledger: one entry per lot per change. Quantities are signed
+// (positive = into stock) and the sum per medicine must equal its quantity.
+const stockMovementSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: String,
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  lot: mongoose.Schema.Types.ObjectId,
+  batchNumber: String,
+  expiryDate: Date,
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  quantity: { type: Number, required: true },
+  balanceAfter: Number, // Medicine quantity after this movement
+  unitCost: Number,
+  sourceType: String, // Model of the document that caused the movement, e.g. 'Sale'
+  sourceId: mongoose.Schema.Types.ObjectId,
+  note: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorName: String,
+  at: { type: Date, default: Date.now }
+});
+
+stockMovementSchema.index({ medicine: 1, at: 1 });
+stockMovementSchema.index({ clinic: 1, at: -1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+
+// Movements are never changed or removed; corrections are new movements
+const refuseChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(op => stockMovementSchema.pre(op, refuseChange));
+
+stockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
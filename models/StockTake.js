@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'submitted', 'posted', 'cancelled'];
+
+// One count of a line. Counts in the same pass are added up (several people counting
+// different shelves); a later pass replaces the earlier ones (a recount).
+const countSchema = new mongoose.Schema({
+  quantity: { type: Number, required: true, min: 0 },
+  pass: { type: Number, default: 1, min: 1 },
+  countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  countedByName: String,
+  countedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One lot of one medicine, with the system quantity when the session started
+const lineSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: String,
+  lot: mongoose.Schema.Types.ObjectId, // Empty for medicines with no stock and no lots
+  batchNumber: String,
+  expiryDate: Date,
+  unitCost: { type: Number, default: 0 },
+  systemQuantity: { type: Number, required: true },
+  counts: { type: [countSchema], default: [] }
+});
+
+// Counted quantity: the sum of the counts in the latest pass, or null if never counted
+lineSchema.virtual('countedQuantity').get(function() {
+  if (this.counts.length === 0) return null;
+  const pass = Math.max(...this.counts.map(c => c.pass));
+  return this.counts.filter(c => c.pass === pass).reduce((sum, c) => sum + c.quantity, 0);
+});
+
+const stockTakeSchema = new mongoose.Schema({
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  name: String, // e.g. "October count"
+  status: { type: String, enum: STATUSES, default: 'open' },
+  lines: { type: [lineSchema], default: [] },
+  notes: String,
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startedByName: String,
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submittedAt: Date,
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedByName: String,
+  postedAt: Date,
+  rejectionReason: String,
+  cancelledAt: Date
+}, { timestamps: true });
+
+stockTakeSchema.index({ clinic: 1, createdAt: -1 });
+
+lineSchema.set('toJSON', { virtuals: true });
+lineSchema.set('toObject', { virtuals: true });
+
+stockTakeSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
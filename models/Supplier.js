@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contactPerson: String,
+  phone: String,
+  email: String,
+  address: String,
+  notes: String,
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
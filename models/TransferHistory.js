@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// requested -> approved -> dispatched -> received, or rejected / cancelled on the way.
+// A dispatched or received transfer can be reversed, which returns the stock to the sender.
+// Records from before the workflow existed moved stock instantly and are stored as received.
+const STATUSES = ['requested', 'approved', 'dispatched', 'received', 'rejected', 'cancelled', 'reversed'];
+
+const transferLotSchema = new mongoose.Schema({
+  lot: { type: mongoose.Schema.Types.ObjectId }, // Lot id in the source clinic (destination clinic for receivedLots)
+  sourceLot: { type: mongoose.Schema.Types.ObjectId }, // receivedLots only: the source lot the stock came from
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: { type: Number, required: true },
+  purchasePrice: Number
+}, { _id: false });
+
+const transferHistorySchema = new mongoose.Schema({
+  medicineName: String,
+  toMedicineName: String, // Name to stock it under at the destination when there is no catalog product
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' }, // Source clinic's stock row
+  toMedicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' }, // Destination stock row, once received
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  quantity: Number, // Requested quantity (dispatched quantity once dispatched)
+  fromClinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+  toClinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+  status: { type: String, enum: STATUSES, default: 'received' },
+  requestedLots: { type: [{ _id: false, lot: mongoose.Schema.Types.ObjectId, quantity: Number }], default: [] },
+  lots: { type: [transferLotSchema], default: [] }, // Lots dispatched from the source clinic
+  receivedLots: { type: [transferLotSchema], default: [] }, // Lots added to the destination clinic
+  receivedQuantity: Number,
+  // Difference between what was dispatched and what arrived
+  discrepancy: {
+    quantity: Number,
+    reason: String,
+    lots: { type: [transferLotSchema], default: undefined } // Missing quantity per source lot
+  },
+  expiryOverride: { type: Boolean, default: false }, // Sent with permission to move expired stock
+  notes: String,
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedByName: String,
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: Date,
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedAt: Date,
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Rejected, cancelled or reversed by
+  closedAt: Date,
+  closeReason: String,
+  date: { type: Date, default: Date.now }
+});
+
+transferHistorySchema.index({ fromClinic: 1, date: -1 });
+transferHistorySchema.index({ toClinic: 1, date: -1 });
+transferHistorySchema.index({ status: 1 });
+
+transferHistorySchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('TransferHistory', transferHistorySchema);
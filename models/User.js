@@ -15,18 +15,36 @@ const settingsSchema = new mongoose.Schema({
     default: true 
   },
   clinicsHidePrices: { 
-    type: [String], 
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' }], 
     default: [] 
   }
 }, { _id: false });
 
+// TOTP two-factor settings. Secrets and recovery code hashes are never selected by default.
+const twoFactorSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  secret: { type: String, select: false },
+  pendingSecret: { type: String, select: false }, // Set during enrollment until the first code is confirmed
+  recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+  lastUsedStep: { type: Number, select: false }, // Time step of the last accepted code, to refuse replays
+  enabledAt: { type: Date }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'worker'], required: true },
-  clinic: { type: String },
-  profilePic: { type: String },
+  role: { type: String, required: true, lowercase: true, trim: true }, // Name of a Role document
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+  profilePic: { type: String }, // Public URL of the uploaded picture
+  profilePicKey: { type: String }, // Storage key of the uploaded picture
+  active: { type: Boolean, default: true }, // Deactivated users cannot log in
+  deactivatedAt: { type: Date },
+  mustChangePassword: { type: Boolean, default: false }, // Set when an admin issues a temporary password
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  },
   settings: { 
     type: settingsSchema, 
     default: () => ({}) 
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const writeOffLotSchema = new mongoose.Schema({
+  lot: { type: mongoose.Schema.Types.ObjectId },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: { type: Number, required: true },
+  purchasePrice: Number
+}, { _id: false });
+
+// Expired stock removed from a medicine, with what it cost us
+const writeOffSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: String,
+  clinic: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic', required: true },
+  lots: { type: [writeOffLotSchema], default: [] },
+  quantity: { type: Number, required: true },
+  cost: { type: Number, default: 0 }, // quantity x purchase price, summed over lots
+  reason: { type: String, default: 'expired' },
+  writtenOffBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  writtenOffByName: String,
+  date: { type: Date, default: Date.now }
+});
+
+writeOffSchema.index({ clinic: 1, date: -1 });
+
+module.exports = mongoose.model('WriteOff', writeOffSchema);
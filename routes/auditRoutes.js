@@ -0,0 +1,44 @@
+// Audit log query routes
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { verifyAuditChain } = require('../services/audit');
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('audit:read'));
+
+// Query audit entries (filter by clinic, user, entity, entity id, action and date range)
+router.get('/', async (req, res) => {
+  try {
+    const { clinic, user, entity, entityId, action, from, to, page = 1, limit = 100 } = req.query;
+    const filter = {};
+    if (clinic) filter.clinic = clinic;
+    if (user) filter.actor = user;
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+    if (from) filter.at = { ...filter.at, $gte: new Date(from) };
+    if (to) filter.at = { ...filter.at, $lte: new Date(to + 'T23:59:59.999Z') };
+
+    const pageSize = Math.min(Number(limit) || 100, 500);
+    const skip = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ seq: -1 }).skip(skip).limit(pageSize),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ entries, total, page: Number(page) || 1, limit: pageSize });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Check the hash chain for edited or deleted entries
+router.get('/verify', async (req, res) => {
+  try {
+    res.json(await verifyAuditChain());
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,134 @@
 // Authentication routes for signup and login
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Clinic = require('../models/Clinic');
+const Session = require('../models/Session');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { verifyToken, requirePermission, hasPermission, getRolePermissions, canManageRole } = require('../middleware/auth');
+const {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/sessions');
+const { sendMail } = require('../services/mail');
+const { checkLogin, recordFailure, recordSuccess, allowRequest } = require('../services/loginGuard');
+const { getSetting, getSettings } = require('../services/settings');
+const { saveProfilePic, removeProfilePic, MAX_PROFILE_PIC_BYTES } = require('../services/profilePics');
+const {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../services/totp');
 const router = express.Router();
 
+// Profile pictures are kept in memory only long enough to check and store them
+const profilePicUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PROFILE_PIC_BYTES, files: 1 }
+}).single('profilePic');
+
 // Ensure JWT_SECRET is set in the .env file
 if (!process.env.JWT_SECRET) {
   throw new Error('JWT_SECRET is not set in .env file');
 }
 
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Mast Pharmacy';
+// Forgot-password requests allowed per email and per IP within the window (global settings)
+const RESET_LIMIT_DEFAULTS = { passwordResetMaxPerEmail: 3, passwordResetMaxPerIp: 10, passwordResetWindowMinutes: 60 };
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// User fields returned to the client after login or refresh
+const userResponse = async (user) => ({
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: await getRolePermissions(user.role),
+  clinic: user.clinic,
+  clinicName: user.clinic ? (await Clinic.findById(user.clinic).select('name'))?.name : undefined,
+  profilePic: user.profilePic,
+  mustChangePassword: !!user.mustChangePassword,
+  twoFactorEnabled: !!user.twoFactor?.enabled
+});
+
+const sendLoginBlocked = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(429).json({
+    message: blocked.locked
+      ? 'Too many failed attempts. Login is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: blocked.retryAfter
+  });
+};
+
+// Short-lived token linking the password step of a login to its second factor step.
+// purpose is '2fa' (enter a code) or '2fa-setup' (enrollment is mandatory and still missing).
+const signChallenge = (user, purpose) =>
+  jwt.sign({ userId: user._id, purpose }, process.env.JWT_SECRET, { expiresIn: '10m' });
+
+const verifyChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Roles listed in the twoFactorRequiredRoles global setting must use 2FA
+const twoFactorRequired = async (role) => {
+  const roles = await getSetting('twoFactorRequiredRoles', []);
+  return Array.isArray(roles) && roles.includes(role);
+};
+
+// Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_FIELDS.
+// Accepted codes are consumed atomically so they cannot be replayed.
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+  if (!code || !user.twoFactor?.secret) return false;
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) return false;
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// 2FA enrollment is open to logged-in users and to users whose login is waiting on mandatory enrollment
+const verifyTokenOrSetupChallenge = (req, res, next) => {
+  if (req.body?.challengeToken) {
+    const decoded = verifyChallenge(req.body.challengeToken, '2fa-setup');
+    if (!decoded) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+    req.setupUserId = decoded.userId;
+    return next();
+  }
+  return verifyToken(req, res, next);
+};
+
 // Endpoint to check if an admin already exists
 router.get('/admin-exists', async (req, res) => {
   try {
@@ -20,25 +139,29 @@ router.get('/admin-exists', async (req, res) => {
   }
 });
 
-// Signup route
+// Signup route: only bootstraps the first admin, everyone else is invited through /api/users
 router.post('/signup', async (req, res) => {
   try {
-    const { name, email, password, role, clinic } = req.body;
-    if (!name || !email || !password || !role) {
+    const { name, email, password, role = 'admin' } = req.body;
+    if (!name || !email || !password) {
       return res.status(400).json({ message: 'All fields are required' });
     }
-    if (role === 'admin') {
-      const adminExists = await User.findOne({ role: 'admin' });
-      if (adminExists) {
-        return res.status(400).json({ message: 'An admin account already exists. Only one admin is allowed.' });
-      }
+    if (role !== 'admin') {
+      return res.status(403).json({ message: 'Accounts are created by an admin' });
+    }
+    const adminExists = await User.findOne({ role: 'admin' });
+    if (adminExists) {
+      return res.status(403).json({ message: 'An admin account already exists. Ask an admin to invite you.' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
     }
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
     const hashedPassword = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, password: hashedPassword, role, clinic });
+    const user = new User({ name, email, password: hashedPassword, role: 'admin' });
     await user.save();
     res.status(201).json({ message: 'User created successfully' });
   } catch (err) {
@@ -50,58 +173,415 @@ router.post('/signup', async (req, res) => {
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
     }
-    const isMatch = await bcrypt.compare(password, user.password);
+    const blocked = await checkLogin(email, req.ip);
+    if (blocked) return sendLoginBlocked(res, blocked);
+    const user = await User.findOne({ email });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
     if (!isMatch) {
+      await recordFailure(email, req);
       return res.status(400).json({ message: 'Invalid credentials' });
-    }    const token = jwt.sign({ userId: user._id, role: user.role, clinic: user.clinic }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
-    res.json({ token, user: { name: user.name, email: user.email, role: user.role, clinic: user.clinic, profilePic: user.profilePic } });
+    }
+    if (user.active === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+    // Enrolled users finish logging in with a code through /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signChallenge(user, '2fa') });
+    }
+    // Users whose role requires 2FA must enroll (/2fa/setup and /2fa/enable) before getting a session
+    if (await twoFactorRequired(user.role)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: signChallenge(user, '2fa-setup') });
+    }
+    // The failure counter is only cleared once a login is complete (here or in /login/2fa), so
+    // repeating the password step cannot reset it between second factor guesses
+    await recordSuccess(email);
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, user: await userResponse(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second login step for users with 2FA: exchange the challenge and a TOTP or recovery code for a session
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+    const decoded = verifyChallenge(challengeToken, '2fa');
+    if (!decoded) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || user.active === false || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+    const blocked = await checkLogin(user.email, req.ip);
+    if (blocked) return sendLoginBlocked(res, blocked);
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      await recordFailure(user.email, req);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await recordSuccess(user.email);
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, user: await userResponse(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Two-factor status for the logged-in user
+router.get('/2fa', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      required: await twoFactorRequired(user.role)
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret and its otpauth:// URI for the QR code
+router.post('/2fa/setup', verifyTokenOrSetupChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.setupUserId || req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || user.active === false) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    res.json({ secret, otpauthUrl: provisioningUri(secret, user.email, TOTP_ISSUER) });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app; returns one-time recovery codes.
+// When enrolling during a mandatory-2FA login, the response also carries the session tokens.
+router.post('/2fa/enable', verifyTokenOrSetupChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.setupUserId || req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || user.active === false) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    const response = { message: 'Two-factor authentication enabled', recoveryCodes: codes };
+    if (req.setupUserId) {
+      Object.assign(response, await createSession(user, req), { user: await userResponse(user) });
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await checkSecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn 2FA off (requires the password and a current or recovery code)
+router.post('/2fa/disable', verifyToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (await twoFactorRequired(user.role)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for your role' });
+    }
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+    const result = await rotateSession(refreshToken, (userId) => User.findOne({ _id: userId, active: { $ne: false } }));
+    if (!result) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
+    const { user, ...tokens } = result;
+    res.json({ ...tokens, user: await userResponse(user) });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Password reset route
+// End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+    await revokeByRefreshToken(refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End every session of the logged-in user (all devices)
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'logout all');
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the logged-in user's active sessions
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+    res.json(sessions.map(s => ({ ...s.toObject(), current: String(s._id) === String(req.user.sessionId) })));
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End one of the logged-in user's sessions
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    await revokeSession(session._id);
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke every session of another user, e.g. a dismissed worker or a lost phone
+router.post('/revoke-sessions/:userId', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await canManageRole(req.user, user.role))) {
+      return res.status(403).json({ message: 'Only an admin can manage users with this role' });
+    }
+    const revoked = await revokeUserSessions(user._id, 'revoked by admin');
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Password change with the current password. Guarded like /login: failures count towards the
+// lockout, and users with 2FA also send a TOTP or recovery code.
 router.post('/reset-password', async (req, res) => {
   try {
-    const { email, oldPassword, newPassword } = req.body;
+    const { email, oldPassword, newPassword, code, recoveryCode } = req.body;
     if (!email || !oldPassword || !newPassword) {
       return res.status(400).json({ message: 'All fields are required' });
     }
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'New password must be at least 6 characters' });
     }
-    const isMatch = await bcrypt.compare(oldPassword, user.password);
+    const blocked = await checkLogin(email, req.ip);
+    if (blocked) return sendLoginBlocked(res, blocked);
+    const user = await User.findOne({ email }).select(TWO_FACTOR_FIELDS);
+    const isMatch = user ? await bcrypt.compare(oldPassword, user.password) : false;
     if (!isMatch) {
-      return res.status(400).json({ message: 'Current password is incorrect' });
+      await recordFailure(email, req);
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    if (user.active === false) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+    if (user.twoFactor?.enabled) {
+      if (!code && !recoveryCode) {
+        return res.status(400).json({ message: 'Authentication code is required', twoFactorRequired: true });
+      }
+      if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+        await recordFailure(email, req);
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+    }
+    await recordSuccess(email);
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.mustChangePassword = false;
+    await user.save();
+    // A password change logs the user out everywhere
+    await revokeUserSessions(user._id, 'password reset');
+    res.json({ message: 'Password updated successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a reset token for an account and email it. Runs after the response has been sent.
+const sendResetLink = async (email, ip) => {
+  const user = await User.findOne({ email, active: { $ne: false } });
+  if (!user) return;
+  // Only the newest token is valid
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+    requestedIp: ip
+  });
+  const link = process.env.APP_URL ? `${process.env.APP_URL}/reset-password?token=${token}` : null;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      'A password reset was requested for your account.',
+      link ? `Open this link to choose a new password: ${link}` : `Your reset code is: ${token}`,
+      `It expires in ${RESET_TOKEN_MINUTES} minutes and can only be used once.`,
+      '',
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Forgot password: email a single-use reset token. Always answers the same way, before looking
+// the email up, so the endpoint cannot be used to find out which emails have accounts.
+// Requests are limited per IP and per email so it cannot be used to flood inboxes either.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    const limits = await getSettings(RESET_LIMIT_DEFAULTS);
+    if (!(await allowRequest(`reset-ip:${req.ip}`, limits.passwordResetMaxPerIp, limits.passwordResetWindowMinutes))) {
+      return res.status(429).json({ message: 'Too many reset requests. Please try again later.' });
+    }
+    // Over the per-email limit nothing is sent, but the answer stays the same
+    const allowed = await allowRequest(`reset-email:${String(email).trim().toLowerCase()}`, limits.passwordResetMaxPerEmail, limits.passwordResetWindowMinutes);
+    res.json({ message: 'If that email has an account, a reset link has been sent' });
+    if (allowed) {
+      sendResetLink(email, req.ip).catch(err => console.error('Error sending password reset:', err));
+    }
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm a forgot-password request with its token and set the new password
+router.post('/forgot-password/confirm', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'Token and new password are required' });
     }
     if (newPassword.length < 6) {
       return res.status(400).json({ message: 'New password must be at least 6 characters' });
     }
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+    const user = await User.findOne({ _id: resetToken.user, active: { $ne: false } });
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
     user.password = await bcrypt.hash(newPassword, 10);
+    user.mustChangePassword = false;
     await user.save();
+    await revokeUserSessions(user._id, 'password reset');
     res.json({ message: 'Password updated successfully' });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Profile update route
-router.put('/update-profile', async (req, res) => {
+// Profile update route (always updates the logged-in user)
+router.put('/update-profile', verifyToken, requirePermission('profile:update'), async (req, res) => {
   try {
-    const { email, name, profilePic } = req.body;
-    if (!email || !name) {
-      return res.status(400).json({ message: 'Email and name are required' });
+    const { name, profilePic } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
     }
-    const user = await User.findOne({ email });
+    if (profilePic) {
+      return res.status(400).json({ message: 'Upload profile pictures through POST /api/auth/profile-pic' });
+    }
+    const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
-    }    user.name = name;
-    if (profilePic) user.profilePic = profilePic;
+    }
+    user.name = name;
     await user.save();
     res.json({ 
       message: 'Profile updated successfully',
@@ -118,9 +598,55 @@ router.put('/update-profile', async (req, res) => {
   }
 });
 
+// Upload a profile picture (multipart/form-data, field "profilePic"; PNG, JPEG, GIF or WebP)
+router.post('/profile-pic', verifyToken, requirePermission('profile:update'), (req, res, next) => {
+  profilePicUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Profile picture must be at most ${Math.floor(MAX_PROFILE_PIC_BYTES / 1024)} KB` });
+    }
+    res.status(400).json({ message: err.message });
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // The declared content type is ignored; the file itself has to be an image
+    const saved = await saveProfilePic(user, req.file.buffer);
+    if (!saved) {
+      return res.status(415).json({ message: 'Profile picture must be a PNG, JPEG, GIF or WebP image' });
+    }
+    res.json({ message: 'Profile picture updated', profilePic: saved.profilePic });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the profile picture
+router.delete('/profile-pic', verifyToken, requirePermission('profile:update'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await removeProfilePic(user);
+    res.json({ message: 'Profile picture removed' });
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Temporary test endpoint
-router.get('/test-profile/:email', async (req, res) => {
+router.get('/test-profile/:email', verifyToken, async (req, res) => {
   try {
+    if (!hasPermission(req.user, 'users:manage') && req.params.email !== req.user.email) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
     const user = await User.findOne({ email: req.params.email }).select('name email profilePic');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
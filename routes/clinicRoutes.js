@@ -0,0 +1,139 @@
+// Clinic management routes
+const express = require('express');
+const Clinic = require('../models/Clinic');
+const Medicine = require('../models/Medicine');
+const User = require('../models/User');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const SaleReturn = require('../models/SaleReturn');
+const TransferHistory = require('../models/TransferHistory');
+const Shift = require('../models/Shift');
+const StockTake = require('../models/StockTake');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PriceList = require('../models/PriceList');
+const PriceOverride = require('../models/PriceOverride');
+const StockMovement = require('../models/StockMovement');
+const WriteOff = require('../models/WriteOff');
+const ApprovalCode = require('../models/ApprovalCode');
+const { verifyToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const CLINIC_FIELDS = ['name', 'address', 'contact', 'timezone', 'expiryAlertDays', 'taxRates', 'pricesIncludeTax', 'active'];
+
+// Records that point at a clinic; while any exist it can only be deactivated
+const CLINIC_REFERENCES = [
+  [Medicine, 'clinic'], [User, 'clinic'], [Sale, 'clinic'], [Invoice, 'clinic'], [SaleReturn, 'clinic'],
+  [TransferHistory, 'fromClinic'], [TransferHistory, 'toClinic'], [Shift, 'clinic'], [StockTake, 'clinic'],
+  [PurchaseOrder, 'clinic'], [PriceList, 'clinic'], [PriceOverride, 'clinic'], [StockMovement, 'clinic'],
+  [WriteOff, 'clinic'], [ApprovalCode, 'clinic']
+];
+
+const isReferenced = async (clinicId) => {
+  for (const [Model, field] of CLINIC_REFERENCES) {
+    if (await Model.exists({ [field]: clinicId })) return true;
+  }
+  return false;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// List clinics with the names of their workers. Inactive clinics are only listed for managers (?all=true).
+router.get('/', async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && hasPermission(req.user, 'clinics:manage');
+    const clinics = await Clinic.find(showAll ? {} : { active: true }).sort({ name: 1 });
+    const users = await User.find({ clinic: { $ne: null }, active: { $ne: false } }, 'clinic name');
+    const workers = {};
+    users.forEach(u => {
+      const key = String(u.clinic);
+      if (!workers[key]) workers[key] = [];
+      workers[key].push(u.name);
+    });
+    res.json(clinics.map(c => ({ ...c.toObject(), workers: workers[String(c._id)] || [] })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a single clinic
+router.get('/:id', async (req, res) => {
+  try {
+    if (!Clinic.isClinicId(req.params.id)) return res.status(404).json({ message: 'Clinic not found' });
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) return res.status(404).json({ message: 'Clinic not found' });
+    res.json(clinic);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a clinic
+router.post('/', requirePermission('clinics:manage'), async (req, res) => {
+  try {
+    const { name, address, contact, timezone, expiryAlertDays, taxRates, pricesIncludeTax } = req.body;
+    if (!name) return res.status(400).json({ message: 'Clinic name is required' });
+    if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ message: 'Unknown timezone' });
+    if (await Clinic.exists({ name: name.trim() })) {
+      return res.status(400).json({ message: 'A clinic with this name already exists' });
+    }
+    const clinic = await Clinic.create({ name, address, contact, timezone, expiryAlertDays, taxRates, pricesIncludeTax });
+    await recordAudit({ req, action: 'create', entity: 'clinic', entityId: clinic._id, clinic: clinic._id, after: clinic });
+    res.status(201).json(clinic);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a clinic (set active: false to deactivate it)
+router.put('/:id', requirePermission('clinics:manage'), async (req, res) => {
+  try {
+    if (!Clinic.isClinicId(req.params.id)) return res.status(404).json({ message: 'Clinic not found' });
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) return res.status(404).json({ message: 'Clinic not found' });
+    const before = clinic.toObject();
+    if (req.body.timezone && !isValidTimezone(req.body.timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+    if (req.body.name && req.body.name.trim() !== clinic.name &&
+        await Clinic.exists({ name: req.body.name.trim() })) {
+      return res.status(400).json({ message: 'A clinic with this name already exists' });
+    }
+    CLINIC_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) clinic[field] = req.body[field];
+    });
+    await clinic.save();
+    await recordAudit({ req, action: 'update', entity: 'clinic', entityId: clinic._id, clinic: clinic._id, before, after: clinic });
+    res.json(clinic);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a clinic that nothing refers to yet; clinics with stock, users or history are deactivated instead
+router.delete('/:id', requirePermission('clinics:manage'), async (req, res) => {
+  try {
+    if (!Clinic.isClinicId(req.params.id)) return res.status(404).json({ message: 'Clinic not found' });
+    const clinic = await Clinic.findById(req.params.id);
+    if (!clinic) return res.status(404).json({ message: 'Clinic not found' });
+    if (await isReferenced(clinic._id)) {
+      return res.status(400).json({ message: 'Clinic still has stock, users or history. Deactivate it instead.' });
+    }
+    await Clinic.findByIdAndDelete(clinic._id);
+    await recordAudit({ req, action: 'delete', entity: 'clinic', entityId: clinic._id, clinic: clinic._id, before: clinic });
+    res.json({ message: 'Clinic deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Serves stored uploads (profile pictures) at stable URLs
+const express = require('express');
+const { getStorage, contentTypeFor } = require('../services/storage');
+const router = express.Router();
+
+router.get('/*key', async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+    const stream = await getStorage().get(key);
+    if (!stream) return res.status(404).json({ message: 'File not found' });
+    res.set('Content-Type', contentTypeFor(key));
+    res.set('X-Content-Type-Options', 'nosniff');
+    // Keys are never reused, so files can be cached for a long time
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+// Multi-item checkout: every line is checked against stock, then all stock is taken and the
+// sales are written in one transaction under a per-clinic invoice number.
+const express = require('express');
+const Invoice = require('../models/Invoice');
+const Sale = require('../models/Sale');
+const Medicine = require('../models/Medicine');
+const Counter = require('../models/Counter');
+const { verifyToken, requirePermission, hasPermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { takeStock } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const { getSettings } = require('../services/settings');
+const { PRICE_LIMIT_DEFAULTS, priceLine, applyNetRate, approvePrices, recordOverrides } = require('../services/pricing');
+const { taxConfig, taxRateFor, parseDiscount, lineTotals, spreadDiscount } = require('../services/saleTotals');
+const { parsePayments, shiftFor } = require('../services/payments');
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Transactions that lose a write conflict (two checkouts taking the same invoice number or
+// the same medicine) are retried this many times
+const CHECKOUT_ATTEMPTS = 3;
+
+// Error with an HTTP status, thrown inside transactions
+const requestError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+// Validate the lines of a checkout. Body items: [{ medicineId, quantity, rate?, discount?, medicineName?, lots? }];
+// lines without a rate are charged the list price
+const parseLines = (items) => {
+  if (!Array.isArray(items) || items.length === 0) throw requestError(400, 'At least one item is required');
+  return items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    if (!item.medicineId || !Number.isInteger(quantity) || quantity <= 0) {
+      throw requestError(400, `Line ${index + 1} needs a medicine and a whole quantity above zero`);
+    }
+    return {
+      index,
+      medicineId: String(item.medicineId),
+      medicineName: item.medicineName,
+      quantity,
+      rate: item.rate,
+      discount: parseDiscount(item.discount),
+      lots: item.lots
+    };
+  });
+};
+
+// Take the stock for every line, write the sales and the invoice. Returns { invoice, sales }.
+const checkout = async (req, { clinic, lines, discount, allowExpired, soldAt }, session) => {
+  const medicines = {};
+  for (const line of lines) {
+    if (medicines[line.medicineId]) continue;
+    const medicine = await Medicine.findOne({ _id: line.medicineId, clinic }).session(session);
+    if (!medicine) throw requestError(400, `Line ${line.index + 1}: medicine not found in this clinic`);
+    medicines[line.medicineId] = medicine;
+  }
+  const limits = await getSettings(PRICE_LIMIT_DEFAULTS);
+  for (const line of lines) {
+    line.pricing = await priceLine(medicines[line.medicineId], line.rate, { at: soldAt, limits, session });
+  }
+  // Line discounts come off first, then the invoice discount is shared over the lines
+  const tax = await taxConfig(clinic, session);
+  const shares = spreadDiscount(lines.map(line => {
+    const base = lineTotals({ quantity: line.quantity, rate: line.pricing.rate, discount: line.discount });
+    return base.subtotal - base.discountAmount;
+  }), discount);
+  for (const [i, line] of lines.entries()) {
+    line.invoiceDiscountAmount = shares[i];
+    line.totals = lineTotals({
+      quantity: line.quantity,
+      rate: line.pricing.rate,
+      discount: line.discount,
+      extraDiscount: shares[i],
+      taxRate: await taxRateFor(tax, medicines[line.medicineId], session),
+      pricesIncludeTax: tax.pricesIncludeTax
+    });
+    applyNetRate(line.pricing, (line.totals.subtotal - line.totals.discountAmount) / line.quantity);
+  }
+
+  // Check every line before failing so the cashier sees all shortages at once
+  const problems = [];
+  lines.forEach(line => {
+    const medicine = medicines[line.medicineId];
+    try {
+      line.taken = takeStock(medicine, line.quantity, line.lots, { allowExpired });
+    } catch (err) {
+      if (!err.status) throw err;
+      problems.push({ line: line.index + 1, medicineId: line.medicineId, medicineName: medicine.name, message: err.message });
+    }
+  });
+  if (problems.length > 0) throw requestError(400, 'Not enough stock for some items', { lines: problems });
+  const amountDue = lines.reduce((sum, line) => sum + line.totals.total, 0);
+  const { payments, changeGiven } = parsePayments(req.body.payments, amountDue, { customerName: req.body.customerName });
+  const shift = await shiftFor(req, clinic, session);
+  // One approval code covers every line outside the price limits
+  const approval = await approvePrices(req, clinic, lines.map(line => line.pricing), req.body.approvalCode, session);
+
+  const sequence = await Counter.next(Invoice.counterName(clinic), session);
+  const number = `INV-${String(sequence).padStart(6, '0')}`;
+  const [invoice] = await Invoice.create([{
+    number,
+    sequence,
+    clinic,
+    discount: discount || undefined,
+    payments,
+    changeGiven,
+    shift: shift?._id,
+    customerName: req.body.customerName,
+    notes: req.body.notes,
+    soldBy: req.user.userId,
+    soldByName: req.user.name,
+    soldAt
+  }], { session });
+
+  const sales = await Sale.create(lines.map(line => {
+    const medicine = medicines[line.medicineId];
+    return {
+      medicine: medicine._id,
+      medicineName: line.medicineName || medicine.name,
+      product: medicine.product,
+      clinic,
+      invoice: invoice._id,
+      invoiceNumber: number,
+      quantity: line.quantity,
+      rate: line.pricing.rate,
+      listPrice: line.pricing.listPrice,
+      discount: line.discount || undefined,
+      ...line.totals,
+      invoiceDiscountAmount: line.invoiceDiscountAmount,
+      pricesIncludeTax: tax.pricesIncludeTax,
+      soldBy: req.user.userId,
+      soldByName: req.user.name,
+      soldAt,
+      lots: line.taken,
+      expiryOverride: allowExpired
+    };
+  }), { session, ordered: true });
+
+  for (const medicine of Object.values(medicines)) {
+    await medicine.save({ session });
+  }
+  // Stock card entries per line, in line order; a medicine sold on several lines ends at its saved stock
+  const running = {};
+  lines.forEach(line => {
+    const key = line.medicineId;
+    running[key] = (running[key] ?? medicines[key].quantity) + line.quantity;
+  });
+  for (const [i, line] of lines.entries()) {
+    const medicine = medicines[line.medicineId];
+    running[line.medicineId] -= line.quantity;
+    await recordMovements({
+      medicine,
+      type: 'sale',
+      direction: -1,
+      lots: line.taken,
+      source: { type: 'Sale', id: sales[i]._id },
+      req,
+      note: number,
+      session,
+      stockAfter: running[line.medicineId]
+    });
+  }
+
+  await recordOverrides(req, lines.map((line, i) => ({ pricing: line.pricing, sale: sales[i] })), approval, session);
+
+  invoice.sales = sales.map(sale => sale._id);
+  invoice.itemCount = sales.reduce((sum, sale) => sum + sale.quantity, 0);
+  invoice.subtotal = sales.reduce((sum, sale) => sum + sale.subtotal, 0);
+  invoice.discountAmount = sales.reduce((sum, sale) => sum + sale.discountAmount, 0);
+  invoice.taxAmount = sales.reduce((sum, sale) => sum + sale.taxAmount, 0);
+  invoice.total = sales.reduce((sum, sale) => sum + sale.total, 0);
+  await invoice.save({ session });
+  return { invoice, sales };
+};
+
+// List invoices of a clinic (?clinic=&from=&to=), newest first
+router.get('/', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = { clinic };
+    if (req.query.from) filter.soldAt = { ...filter.soldAt, $gte: new Date(req.query.from) };
+    if (req.query.to) filter.soldAt = { ...filter.soldAt, $lte: new Date(req.query.to + 'T23:59:59.999Z') };
+    const invoices = await Invoice.find(filter).sort({ soldAt: -1 });
+    res.json(invoices);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('sales').populate('clinic', 'name');
+    if (!invoice) return res.status(404).json({ message: 'Invoice not found' });
+    if (!canAccessClinic(req.user, invoice.clinic._id)) return denyClinic(res);
+    res.json(invoice);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Check out several items at once
+router.post('/', requirePermission('sales:create'), async (req, res) => {
+  /*
+    Body: {
+      clinic: String, // clinic id (defaults to the user's clinic)
+      items: [{ medicineId, quantity, rate?, discount?, medicineName?, lots?: [{ lotId, quantity }] }],
+      discount: { type: 'percent' | 'fixed', value }, // optional; invoice discount, shared over the lines
+      allowExpired: Boolean, // optional; sell expired stock (needs expiry:override)
+      approvalCode: String, // needed when a rate is outside the price limits
+      payments: [{ method, amount, reference }], // optional; split tenders, exact cash if omitted
+      soldAt: Date, // optional
+      customerName: String,
+      notes: String
+    }
+  */
+  let lines;
+  let discount;
+  try {
+    lines = parseLines(req.body.items);
+    discount = parseDiscount(req.body.discount);
+  } catch (err) {
+    return res.status(err.status).json({ message: err.message });
+  }
+  const allowExpired = req.body.allowExpired === true;
+  if (allowExpired && !hasPermission(req.user, 'expiry:override')) {
+    return res.status(403).json({ message: 'You are not allowed to sell expired stock' });
+  }
+  const clinic = requestedClinic(req, req.body.clinic);
+  if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+  if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+  const soldAt = req.body.soldAt ? new Date(req.body.soldAt) : new Date();
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await Medicine.startSession();
+    session.startTransaction();
+    try {
+      const { invoice, sales } = await checkout(req, { clinic, lines: lines.map(line => ({ ...line })), discount, allowExpired, soldAt }, session);
+      await session.commitTransaction();
+      session.endSession();
+      await recordAudit({
+        req,
+        action: 'create',
+        entity: 'invoice',
+        entityId: invoice._id,
+        clinic,
+        after: { invoice, sales: sales.map(sale => sale._id) }
+      });
+      return res.status(201).json({ ...invoice.toObject(), sales });
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      if (attempt < CHECKOUT_ATTEMPTS && err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) continue;
+      return res.status(err.status || 500).json({ message: err.message, lines: err.lines });
+    }
+  }
+});
+
+module.exports = router;
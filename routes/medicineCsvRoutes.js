@@ -0,0 +1,285 @@
+// CSV import and export of clinic stock (mounted under /api/medicines, next to medicineRoutes,
+// so each route verifies the token itself)
+const express = require('express');
+const multer = require('multer');
+const Medicine = require('../models/Medicine');
+const Clinic = require('../models/Clinic');
+const Product = require('../models/Product');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { ensureLots, addLot, setQuantity, lotRecord } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const { nameKey } = require('../services/nameMatcher');
+const { parseCsv, toCsv, unescapeValue } = require('../services/csv');
+const router = express.Router();
+
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+// An import is retried when its transaction hits a transient error (e.g. a write conflict)
+const IMPORT_ATTEMPTS = 3;
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+}).single('file');
+
+// Importable fields and the header names recognised for each when no mapping is given
+const FIELD_HEADERS = {
+  name: ['name', 'medicine', 'medicinename'],
+  description: ['description'],
+  barcode: ['barcode', 'sku'],
+  quantity: ['quantity', 'qty', 'stock'],
+  purchasePrice: ['purchaseprice', 'cost', 'costprice'],
+  expiryDate: ['expirydate', 'expiry', 'exp'],
+  batchNumber: ['batchnumber', 'batch', 'lot'],
+  minQuantity: ['minquantity', 'min', 'minimum'],
+  reorderQuantity: ['reorderquantity', 'reorder']
+};
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[\s_\-]/g, '');
+
+// Column index per field, from an explicit { field: header } mapping or the recognised names
+const columnMap = (headers, mapping) => {
+  const keys = headers.map(headerKey);
+  const columns = {};
+  Object.entries(FIELD_HEADERS).forEach(([field, names]) => {
+    const index = mapping && mapping[field] !== undefined
+      ? keys.indexOf(headerKey(mapping[field]))
+      : keys.findIndex(key => names.includes(key));
+    if (index !== -1) columns[field] = index;
+  });
+  return columns;
+};
+
+const parseNumber = (value, field, errors, { integer = false } = {}) => {
+  if (value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    errors.push(`${field} must be a ${integer ? 'whole ' : ''}number of at least 0`);
+    return undefined;
+  }
+  return number;
+};
+
+const sameDate = (a, b) => (!a && !b) || (!!a && !!b && new Date(a).getTime() === new Date(b).getTime());
+
+// Check every row against the clinic's stock. Returns one report entry per row:
+// { row, name, action: 'create' | 'update', errors, warnings, values, medicine }
+const validateRows = async (rows, columns, clinic) => {
+  const existing = {};
+  (await Medicine.find({ clinic })).forEach(m => { existing[nameKey(m.name)] = m; });
+  const barcodes = rows.map(r => (columns.barcode !== undefined ? unescapeValue(String(r[columns.barcode] || '').trim()) : '')).filter(Boolean);
+  const products = {};
+  (await Product.find({ barcodes: { $in: barcodes } }, 'name barcodes')).forEach(p => {
+    p.barcodes.forEach(code => { products[code] = p; });
+  });
+
+  const seen = {};
+  return rows.map((cells, i) => {
+    const row = i + 2; // Line number in the file, after the header
+    const cell = (field) => (columns[field] === undefined ? '' : unescapeValue(String(cells[columns[field]] ?? '').trim()));
+    const errors = [];
+    const warnings = [];
+    const name = cell('name');
+    if (!name) errors.push('name is required');
+    const key = nameKey(name);
+    if (name && seen[key]) errors.push(`duplicate of row ${seen[key]}`);
+    if (name && !seen[key]) seen[key] = row;
+
+    const values = {
+      name,
+      description: cell('description') || undefined,
+      quantity: parseNumber(cell('quantity'), 'quantity', errors, { integer: true }),
+      purchasePrice: parseNumber(cell('purchasePrice'), 'purchasePrice', errors),
+      minQuantity: parseNumber(cell('minQuantity'), 'minQuantity', errors, { integer: true }),
+      reorderQuantity: parseNumber(cell('reorderQuantity'), 'reorderQuantity', errors, { integer: true }),
+      batchNumber: cell('batchNumber') || undefined
+    };
+    const expiry = cell('expiryDate');
+    if (expiry) {
+      const date = new Date(expiry);
+      if (Number.isNaN(date.getTime())) errors.push('expiryDate is not a valid date');
+      else values.expiryDate = date;
+    }
+    const barcode = cell('barcode');
+    if (barcode) {
+      if (products[barcode]) values.product = products[barcode]._id;
+      else warnings.push(`no product has barcode ${barcode}`);
+    }
+
+    const medicine = existing[key];
+    if (!medicine && values.purchasePrice === undefined) errors.push('purchasePrice is required for new medicines');
+    if (medicine && values.expiryDate && !sameDate(values.expiryDate, medicine.expiryDate) && medicine.lots.length > 1) {
+      warnings.push('expiryDate ignored: the medicine has several lots');
+    }
+    return { row, name, action: medicine ? 'update' : 'create', errors, warnings, values, medicine };
+  });
+};
+
+// Create or update one row's medicine inside the import transaction
+const applyRow = async (entry, clinic, req, session) => {
+  const { values } = entry;
+  const source = { note: 'CSV import', req, session };
+  if (entry.action === 'create') {
+    const medicine = new Medicine({
+      name: values.name,
+      description: values.description,
+      product: values.product,
+      quantity: 0,
+      purchasePrice: values.purchasePrice,
+      clinic,
+      expiryDate: values.expiryDate,
+      minQuantity: values.minQuantity,
+      reorderQuantity: values.reorderQuantity
+    });
+    const opening = values.quantity > 0
+      ? [lotRecord(addLot(medicine, {
+        batchNumber: values.batchNumber,
+        expiryDate: values.expiryDate,
+        quantity: values.quantity,
+        purchasePrice: values.purchasePrice
+      }), values.quantity)]
+      : [];
+    await medicine.save({ session });
+    await recordMovements({ medicine, type: 'opening', lots: opening, source: { type: 'Medicine', id: medicine._id }, ...source });
+    return medicine;
+  }
+
+  const medicine = await Medicine.findById(entry.medicine._id).session(session);
+  if (!medicine) throw Object.assign(new Error(`Row ${entry.row}: ${entry.name} was deleted during the import`), { status: 409 });
+  ['description', 'product', 'purchasePrice', 'minQuantity', 'reorderQuantity'].forEach(field => {
+    if (values[field] !== undefined) medicine[field] = values[field];
+  });
+  if (values.expiryDate && !sameDate(values.expiryDate, medicine.expiryDate)) {
+    ensureLots(medicine);
+    if (medicine.lots.length <= 1) {
+      if (medicine.lots.length === 1) medicine.lots[0].expiryDate = values.expiryDate;
+      medicine.expiryDate = values.expiryDate;
+    }
+  }
+  const adjusted = values.quantity !== undefined && values.quantity !== medicine.quantity
+    ? setQuantity(medicine, values.quantity)
+    : [];
+  await medicine.save({ session });
+  await recordMovements({ medicine, type: 'adjustment', lots: adjusted, source: { type: 'Medicine', id: medicine._id }, ...source });
+  return medicine;
+};
+
+// Import medicines from CSV into one clinic, matching existing ones by name.
+// Multipart field "file" or JSON { csv }; plus clinic, dryRun ("true") and mapping ({ field: header }, JSON).
+// Dry runs only report; otherwise every row is applied in one transaction, or none if any row has errors.
+router.post('/import', verifyToken, requirePermission('medicines:write'), (req, res, next) => {
+  csvUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `CSV file must be at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB` });
+    }
+    res.status(400).json({ message: err.message });
+  });
+}, async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    let mapping = req.body.mapping;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (err) {
+        return res.status(400).json({ message: 'mapping must be a JSON object' });
+      }
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!text) return res.status(400).json({ message: 'No CSV given' });
+    const [headers, ...rows] = parseCsv(text);
+    if (!headers || rows.length === 0) return res.status(400).json({ message: 'CSV has no data rows' });
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `CSV has more than ${MAX_IMPORT_ROWS} rows; split it into smaller files` });
+    }
+    const columns = columnMap(headers, mapping);
+    if (columns.name === undefined) return res.status(400).json({ message: 'No column is mapped to name' });
+
+    const entries = await validateRows(rows, columns, clinic);
+    const invalid = entries.filter(e => e.errors.length > 0).length;
+    const report = {
+      dryRun,
+      clinic,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+      summary: {
+        rows: entries.length,
+        create: entries.filter(e => e.action === 'create').length,
+        update: entries.filter(e => e.action === 'update').length,
+        invalid
+      },
+      rows: entries.map(({ row, name, action, errors, warnings }) => ({ row, name, action, errors, warnings }))
+    };
+    if (dryRun) return res.json(report);
+    if (invalid > 0) return res.status(400).json({ ...report, message: 'Nothing was imported: fix the rows with errors first' });
+
+    for (let attempt = 1; ; attempt++) {
+      const session = await Medicine.startSession();
+      session.startTransaction();
+      try {
+        for (const entry of entries) {
+          await applyRow(entry, clinic, req, session);
+        }
+        await session.commitTransaction();
+        session.endSession();
+        break;
+      } catch (err) {
+        await session.abortTransaction();
+        session.endSession();
+        if (attempt < IMPORT_ATTEMPTS && err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) continue;
+        throw err;
+      }
+    }
+    await recordAudit({ req, action: 'import', entity: 'medicine', clinic, after: report.summary });
+    res.json(report);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Export stock as CSV (?clinic=, ?lots=true for one row per lot). The default export can be imported
+// again; the per-lot export repeats each medicine once per lot and is for reading only, since the
+// import takes one row per medicine.
+router.get('/export', verifyToken, requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const perLot = req.query.lots === 'true';
+    const medicines = await Medicine.find(clinic ? { clinic } : {})
+      .sort({ name: 1 })
+      .populate('clinic', 'name')
+      .populate('product', 'barcodes');
+
+    const rows = [[
+      'name', 'clinic', 'description', 'barcode', 'quantity', 'purchasePrice',
+      'expiryDate', 'batchNumber', 'minQuantity', 'reorderQuantity'
+    ]];
+    medicines.forEach(m => {
+      const common = [m.name, m.clinic?.name, m.description, m.product?.barcodes?.[0]];
+      const levels = [m.minQuantity, m.reorderQuantity];
+      const lots = perLot ? m.lots.filter(lot => lot.quantity > 0) : [];
+      if (lots.length === 0) {
+        rows.push([...common, m.quantity, m.purchasePrice, m.expiryDate, '', ...levels]);
+      }
+      lots.forEach(lot => {
+        rows.push([...common, lot.quantity, lot.purchasePrice ?? m.purchasePrice, lot.expiryDate, lot.batchNumber, ...levels]);
+      });
+    });
+
+    const clinicName = clinic ? (await Clinic.findById(clinic))?.name || 'clinic' : 'all-clinics';
+    const fileName = `stock-${clinicName.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(toCsv(rows));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
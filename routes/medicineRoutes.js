@@ -1,27 +1,43 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Medicine = require('../models/Medicine');
 const User = require('../models/User');
-const mongoose = require('mongoose');
-
-// TransferHistory model (define inline for simplicity)
-const transferHistorySchema = new mongoose.Schema({
-  medicineName: String,
-  quantity: Number,
-  fromClinic: String,
-  toClinic: String,
-  date: { type: Date, default: Date.now }
-});
-const TransferHistory = mongoose.models.TransferHistory || mongoose.model('TransferHistory', transferHistorySchema);
+const Clinic = require('../models/Clinic');
+const Sale = require('../models/Sale');
+const SaleReturn = require('../models/SaleReturn');
+const Product = require('../models/Product');
+const WriteOff = require('../models/WriteOff');
+const StockMovement = require('../models/StockMovement');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { getSetting, getSettings } = require('../services/settings');
+const {
+  ensureLots, isExpired, fefoOrder, addLot, setQuantity, writeOffExpired, lotRecord
+} = require('../services/inventory');
+const { recordMovements, inStockTransaction } = require('../services/stockLedger');
+const { reconcileStock } = require('../jobs/stockReconcile');
 
 const router = express.Router();
 
+const MEDICINE_FIELDS = ['name', 'description', 'product', 'purchasePrice', 'minQuantity', 'reorderQuantity'];
+const LOT_FIELDS = ['batchNumber', 'expiryDate', 'purchasePrice'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const sameDate = (a, b) => (!a && !b) || (!!a && !!b && new Date(a).getTime() === new Date(b).getTime());
+
+// Every medicine endpoint requires a logged-in user
+router.use(verifyToken);
+
 // Get all medicines (optionally filter by clinic and search by name)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('medicines:read'), async (req, res) => {
   try {
-    const filter = req.query.clinic ? { clinic: req.query.clinic } : {};
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
+    if (req.query.product) filter.product = req.query.product;
     const medicines = await Medicine.find(filter);
     res.json(medicines);
   } catch (err) {
@@ -30,11 +46,35 @@ router.get('/', async (req, res) => {
 });
 
 // Add a new medicine
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('medicines:write'), async (req, res) => {
   try {
-    const { name, description, quantity, purchasePrice, clinic, expiryDate } = req.body;
-    const medicine = new Medicine({ name, description, quantity, purchasePrice, clinic, expiryDate });
-    await medicine.save();
+    const { description, quantity, purchasePrice, expiryDate, batchNumber, minQuantity, reorderQuantity } = req.body;
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    // Stock of a catalog product takes the product's name unless one is given
+    let product = null;
+    if (req.body.product) {
+      product = await Product.findOne({ _id: req.body.product, active: true });
+      if (!product) return res.status(400).json({ message: 'Unknown or inactive product' });
+    }
+    const name = req.body.name || product?.name;
+    if (quantity !== undefined && !(Number(quantity) >= 0)) {
+      return res.status(400).json({ message: 'Quantity cannot be negative' });
+    }
+    // Opening stock becomes the medicine's first lot
+    const medicine = new Medicine({
+      name, description, product: product?._id, quantity: 0, purchasePrice, clinic, expiryDate, minQuantity, reorderQuantity
+    });
+    const opening = Number(quantity) > 0
+      ? [lotRecord(addLot(medicine, { batchNumber, expiryDate, quantity: Number(quantity), purchasePrice }), Number(quantity))]
+      : [];
+    await inStockTransaction(async (session) => {
+      await medicine.save({ session });
+      await recordMovements({ medicine, type: 'opening', lots: opening, source: { type: 'Medicine', id: medicine._id }, req, session });
+    });
+    await recordAudit({ req, action: 'create', entity: 'medicine', entityId: medicine._id, clinic, after: medicine });
     res.status(201).json(medicine);
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -42,162 +82,450 @@ router.post('/', async (req, res) => {
 });
 
 // Update a medicine
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('medicines:write'), async (req, res) => {
   try {
-    const medicine = await Medicine.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true }
-    );
+    const medicine = await Medicine.findById(req.params.id);
     if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    const before = snapshot(medicine);
+    const { clinic, quantity, expiryDate } = req.body;
+    // Stock only changes clinic through a transfer, so both clinics' stock cards record it
+    if (clinic !== undefined && String(clinic) !== String(medicine.clinic)) {
+      return res.status(400).json({ message: 'Move stock to another clinic with a transfer (POST /api/transfers)' });
+    }
+    if (req.body.product && !(await Product.exists({ _id: req.body.product }))) {
+      return res.status(400).json({ message: 'Unknown product' });
+    }
+    MEDICINE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) medicine[field] = req.body[field];
+    });
+    // The expiry can only be edited here while there is a single lot; otherwise edit the lot
+    if (expiryDate !== undefined && !sameDate(expiryDate, medicine.expiryDate)) {
+      ensureLots(medicine);
+      if (medicine.lots.length > 1) {
+        return res.status(400).json({ message: 'This medicine has several lots. Change the expiry date on the lot instead.' });
+      }
+      if (medicine.lots.length === 1) medicine.lots[0].expiryDate = expiryDate;
+      medicine.expiryDate = expiryDate;
+    }
+    const adjusted = quantity !== undefined && Number(quantity) !== medicine.quantity
+      ? setQuantity(medicine, Number(quantity))
+      : [];
+    await inStockTransaction(async (session) => {
+      await medicine.save({ session });
+      await recordMovements({
+        medicine, type: 'adjustment', lots: adjusted, source: { type: 'Medicine', id: medicine._id }, req, note: 'Quantity edited', session
+      });
+    });
+    await recordAudit({
+      req,
+      action: 'update',
+      entity: 'medicine',
+      entityId: medicine._id,
+      clinic: medicine.clinic,
+      before,
+      after: medicine
+    });
     res.json(medicine);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
-// Delete a medicine
-router.delete('/:id', async (req, res) => {
+// List a medicine's lots, first to expire first
+router.get('/:id/lots', requirePermission('medicines:read'), async (req, res) => {
   try {
-    const medicine = await Medicine.findByIdAndDelete(req.params.id);
+    const medicine = await Medicine.findById(req.params.id);
     if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
-    res.json({ message: 'Medicine deleted' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    // Stock recorded before lot tracking is stored as a lot here so it can be picked by id
+    if (medicine.lots.length === 0 && medicine.quantity > 0) {
+      ensureLots(medicine);
+      await medicine.save();
+    }
+    res.json(fefoOrder(medicine.lots));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get all unique clinics from medicines and users, with worker names
-router.get('/clinics', async (req, res) => {
+// Restock: add a lot (merged into an existing lot with the same batch, expiry and price)
+router.post('/:id/lots', requirePermission('medicines:write'), async (req, res) => {
   try {
-    const medicineClinics = await Medicine.distinct('clinic');
-    const users = await User.find({ role: 'worker', clinic: { $ne: null } }, 'clinic name');
-    // Map: { clinicName: [worker1, worker2, ...] }
-    const clinicWorkers = {};
-    users.forEach(u => {
-      if (!clinicWorkers[u.clinic]) clinicWorkers[u.clinic] = [];
-      clinicWorkers[u.clinic].push(u.name);
+    const { batchNumber, expiryDate, purchasePrice } = req.body;
+    const quantity = Number(req.body.quantity);
+    if (!(quantity > 0)) return res.status(400).json({ message: 'Quantity must be greater than zero' });
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    const before = snapshot(medicine);
+    const lot = addLot(medicine, { batchNumber, expiryDate, quantity, purchasePrice });
+    await inStockTransaction(async (session) => {
+      await medicine.save({ session });
+      await recordMovements({
+        medicine, type: 'receipt', lots: [lotRecord(lot, quantity)], source: { type: 'Medicine', id: medicine._id }, req, note: 'Restock', session
+      });
+    });
+    await recordAudit({
+      req,
+      action: 'restock',
+      entity: 'medicine',
+      entityId: medicine._id,
+      clinic: medicine.clinic,
+      before,
+      after: medicine
+    });
+    res.status(201).json({ medicine, lot });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Correct a lot's batch number, expiry, purchase price or quantity
+router.put('/:id/lots/:lotId', requirePermission('medicines:write'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    const lot = medicine.lots.id(req.params.lotId);
+    if (!lot) return res.status(404).json({ message: 'Lot not found' });
+    const before = snapshot(medicine);
+    LOT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) lot[field] = req.body[field];
+    });
+    let change = 0;
+    if (req.body.quantity !== undefined) {
+      const quantity = Number(req.body.quantity);
+      if (!(quantity >= 0)) return res.status(400).json({ message: 'Quantity cannot be negative' });
+      change = quantity - lot.quantity;
+      lot.quantity = quantity;
+    }
+    await inStockTransaction(async (session) => {
+      await medicine.save({ session });
+      await recordMovements({
+        medicine, type: 'adjustment', lots: [lotRecord(lot, change)], source: { type: 'Medicine', id: medicine._id }, req, note: 'Lot edited', session
+      });
     });
-    // Build clinics array with worker names in brackets
-    const allClinics = Array.from(new Set([...medicineClinics, ...users.map(u => u.clinic)].filter(Boolean)));
-    const clinicsWithWorkers = allClinics.map(clinic => {
-      const workers = clinicWorkers[clinic];
-      return workers && workers.length > 0 ? `${clinic} (${workers.join(', ')})` : clinic;
+    await recordAudit({
+      req,
+      action: 'update',
+      entity: 'medicine',
+      entityId: medicine._id,
+      clinic: medicine.clinic,
+      before,
+      after: medicine
     });
-    res.json(clinicsWithWorkers);
+    res.json(medicine);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a medicine
+router.delete('/:id', requirePermission('medicines:write'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    // Close the medicine's stock card
+    ensureLots(medicine);
+    const removed = setQuantity(medicine, 0);
+    await inStockTransaction(async (session) => {
+      await Medicine.findByIdAndDelete(req.params.id, { session });
+      await recordMovements({
+        medicine, type: 'adjustment', lots: removed, source: { type: 'Medicine', id: medicine._id }, req, note: 'Medicine deleted', session
+      });
+    });
+    await recordAudit({ req, action: 'delete', entity: 'medicine', entityId: medicine._id, clinic: medicine.clinic, before: medicine });
+    res.json({ message: 'Medicine deleted' });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Atomic transfer of medicine between clinics
-router.post('/transfer', async (req, res) => {
-  /*
-    Body: {
-      fromClinic: String,
-      toClinic: String,
-      medicineId: String, // _id of medicine in fromClinic
-      medicineName: String, // for upsert in toClinic
-      quantity: Number
+// Lots expiring within the alert window (?days=, else the clinic's expiryAlertDays, else the
+// expiryAlertDays setting, default 90), including lots that have already expired
+router.get('/expiring', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (req.query.days !== undefined && !(Number(req.query.days) >= 0)) {
+      return res.status(400).json({ message: 'days must be a number of days' });
+    }
+    const defaultDays = Number(await getSetting('expiryAlertDays', 90));
+    const clinics = await Clinic.find(clinic ? { _id: clinic } : { active: true });
+    const now = new Date();
+    const items = [];
+    for (const c of clinics) {
+      const days = req.query.days !== undefined ? Number(req.query.days) : (c.expiryAlertDays ?? defaultDays);
+      const cutoff = new Date(now.getTime() + days * DAY);
+      const medicines = await Medicine.find({
+        clinic: c._id,
+        $or: [
+          { lots: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: cutoff } } } },
+          { lots: { $size: 0 }, quantity: { $gt: 0 }, expiryDate: { $lte: cutoff } }
+        ]
+      });
+      medicines.forEach(medicine => {
+        ensureLots(medicine);
+        medicine.lots
+          .filter(lot => lot.quantity > 0 && lot.expiryDate && lot.expiryDate <= cutoff)
+          .forEach(lot => items.push({
+            medicine: medicine._id,
+            name: medicine.name,
+            clinic: c._id,
+            clinicName: c.name,
+            lot: lot._id,
+            batchNumber: lot.batchNumber,
+            expiryDate: lot.expiryDate,
+            quantity: lot.quantity,
+            value: lot.quantity * (lot.purchasePrice ?? medicine.purchasePrice ?? 0),
+            daysLeft: Math.ceil((lot.expiryDate - now) / DAY),
+            expired: isExpired(lot, now),
+            quarantined: !!lot.quarantined,
+            alertDays: days
+          }));
+      });
     }
-  */
-  const { fromClinic, toClinic, medicineId, medicineName, quantity } = req.body;
-  // Always use only the clinic name (before any ' (') for both fromClinic and toClinic
-  const fromClinicName = fromClinic.split(' (')[0];
-  const toClinicName = toClinic.split(' (')[0];
-  if (!fromClinicName || !toClinicName || !medicineId || !medicineName || !quantity || quantity <= 0) {
-    return res.status(400).json({ message: 'Invalid transfer data' });
+    items.sort((a, b) => a.expiryDate - b.expiryDate);
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-  if (fromClinicName === toClinicName) {
-    return res.status(400).json({ message: 'Cannot transfer to the same clinic' });
+});
+
+// Medicines at or below their minimum quantity (quarantined stock does not count)
+router.get('/low-stock', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = {
+      minQuantity: { $gt: 0 },
+      $expr: { $lte: [{ $subtract: ['$quantity', { $ifNull: ['$quarantinedQuantity', 0] }] }, '$minQuantity'] }
+    };
+    if (clinic) filter.clinic = clinic;
+    const medicines = await Medicine.find(filter).populate('clinic', 'name').sort({ quantity: 1 });
+    res.json(medicines.map(m => ({
+      _id: m._id,
+      name: m.name,
+      clinic: m.clinic,
+      quantity: m.quantity,
+      available: m.quantity - (m.quarantinedQuantity || 0),
+      minQuantity: m.minQuantity,
+      reorderQuantity: m.reorderQuantity
+    })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
-  const session = await Medicine.startSession();
-  session.startTransaction();
+});
+
+// Suggested order quantities from recent sales velocity (sales less returns in the window).
+// ?days= sales window (setting reorderSalesWindowDays, default 30)
+// ?coverDays= days of stock to hold after ordering (setting reorderCoverDays, default 30)
+router.get('/reorder-suggestions', requirePermission('reports:read'), async (req, res) => {
   try {
-    // 1. Decrement from source clinic
-    const fromMed = await Medicine.findOne({ _id: medicineId, clinic: fromClinicName }).session(session);
-    if (!fromMed) throw new Error('Source medicine not found');
-    if (fromMed.quantity < quantity) throw new Error('Not enough quantity in source clinic');
-    fromMed.quantity -= quantity;
-    await fromMed.save({ session });
-
-    // 2. Increment or create in destination clinic (by name+clinic)
-    let toMed = await Medicine.findOne({ name: medicineName, clinic: toClinicName }).session(session);
-    if (toMed) {
-      toMed.quantity += quantity;
-      await toMed.save({ session });
-    } else {
-      // Copy fields from source, but set clinic and quantity
-      toMed = new Medicine({
-        name: fromMed.name,
-        description: fromMed.description,
-        quantity: quantity,
-        purchasePrice: fromMed.purchasePrice,
-        clinic: toClinicName,
-        expiryDate: fromMed.expiryDate
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const settings = await getSettings({ reorderSalesWindowDays: 30, reorderCoverDays: 30 });
+    const days = Number(req.query.days ?? settings.reorderSalesWindowDays);
+    const coverDays = Number(req.query.coverDays ?? settings.reorderCoverDays);
+    if (!(days > 0) || !(coverDays > 0)) {
+      return res.status(400).json({ message: 'days and coverDays must be positive numbers' });
+    }
+    const since = new Date(Date.now() - days * DAY);
+    const match = { soldAt: { $gte: since } };
+    if (clinic) match.clinic = new mongoose.Types.ObjectId(clinic);
+    const sold = await Sale.aggregate([
+      { $match: match },
+      { $group: { _id: '$medicine', quantity: { $sum: '$quantity' } } }
+    ]);
+    const returnMatch = { returnedAt: { $gte: since } };
+    if (match.clinic) returnMatch.clinic = match.clinic;
+    const returned = await SaleReturn.aggregate([
+      { $match: returnMatch },
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.medicine', quantity: { $sum: '$lines.quantity' } } }
+    ]);
+    const soldByMedicine = {};
+    sold.forEach(s => { soldByMedicine[String(s._id)] = s.quantity; });
+    returned.forEach(r => {
+      const key = String(r._id);
+      soldByMedicine[key] = Math.max((soldByMedicine[key] || 0) - r.quantity, 0);
+    });
+
+    const medicines = await Medicine.find(clinic ? { clinic } : {}).populate('clinic', 'name');
+    const suggestions = [];
+    medicines.forEach(m => {
+      const available = m.quantity - (m.quarantinedQuantity || 0);
+      const soldQuantity = soldByMedicine[String(m._id)] || 0;
+      const dailyRate = soldQuantity / days;
+      let suggested = Math.max(Math.ceil(dailyRate * coverDays) - available, 0);
+      const low = m.minQuantity > 0 && available <= m.minQuantity;
+      if (low) suggested = Math.max(suggested, m.reorderQuantity || 0, m.minQuantity - available + 1);
+      if (suggested <= 0) return;
+      suggestions.push({
+        _id: m._id,
+        name: m.name,
+        clinic: m.clinic,
+        available,
+        minQuantity: m.minQuantity,
+        reorderQuantity: m.reorderQuantity,
+        sold: soldQuantity,
+        dailyRate: Math.round(dailyRate * 100) / 100,
+        daysOfCover: dailyRate > 0 ? Math.floor(available / dailyRate) : null,
+        lowStock: low,
+        suggestedQuantity: suggested,
+        estimatedCost: suggested * (m.purchasePrice || 0)
       });
-      await toMed.save({ session });
+    });
+    // Shortest cover first; medicines that are low but not selling go last
+    suggestions.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+    res.json({ days, coverDays, suggestions });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Medicines whose quantity differs from the stock ledger
+router.get('/reconcile', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    res.json(await reconcileStock(clinic));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Stock card: a medicine's movements with a running balance (?from=&to=&lot=)
+router.get('/:id/stock-card', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Medicine not found' });
+    const medicineId = new mongoose.Types.ObjectId(req.params.id);
+    // Deleted medicines keep their stock card
+    const medicine = await Medicine.findById(medicineId);
+    const known = medicine || await StockMovement.findOne({ medicine: medicineId });
+    if (!known) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, known.clinic)) return denyClinic(res);
+
+    const filter = { medicine: medicineId };
+    if (req.query.lot) {
+      if (!mongoose.isValidObjectId(req.query.lot)) return res.status(400).json({ message: 'Invalid lot id' });
+      filter.lot = new mongoose.Types.ObjectId(req.query.lot);
+    }
+    let openingBalance = 0;
+    if (req.query.from) {
+      const from = new Date(req.query.from);
+      const [row] = await StockMovement.aggregate([
+        { $match: { ...filter, at: { $lt: from } } },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+      ]);
+      openingBalance = row ? row.quantity : 0;
+      filter.at = { $gte: from };
     }
-    // Save transfer record
-    await TransferHistory.create([{
-      medicineName: fromMed.name,
-      quantity,
-      fromClinic: fromClinicName,
-      toClinic: toClinicName,
-      date: new Date()
-    }], { session });
-    await session.commitTransaction();
-    session.endSession();
-    res.json({ message: 'Transfer successful' });
+    if (req.query.to) filter.at = { ...filter.at, $lte: new Date(req.query.to) };
+    const movements = await StockMovement.find(filter).sort({ at: 1, _id: 1 });
+    let balance = openingBalance;
+    const rows = movements.map(movement => {
+      balance += movement.quantity;
+      return { ...movement.toObject(), balance };
+    });
+    res.json({
+      medicine: {
+        _id: medicineId,
+        name: medicine ? medicine.name : known.medicineName,
+        clinic: known.clinic,
+        quantity: medicine ? medicine.quantity : 0,
+        deleted: !medicine
+      },
+      openingBalance,
+      closingBalance: balance,
+      movements: rows
+    });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
-    res.status(400).json({ message: err.message || 'Transfer failed' });
+    res.status(500).json({ message: err.message });
   }
 });
 
-// Transfer history endpoint
-router.get('/transfer/history', async (req, res) => {
-  // Query param: clinic (show all transfers where this clinic was sender or receiver)
-  const clinic = req.query.clinic ? req.query.clinic.split(' (')[0] : null;
-  if (!clinic) return res.json([]);
+// Write-offs of expired stock with their cost (?clinic=&from=&to=)
+router.get('/write-offs', requirePermission('medicines:read'), async (req, res) => {
   try {
-    const history = await TransferHistory.find({
-      $or: [
-        { fromClinic: clinic },
-        { toClinic: clinic }
-      ]
-    }).sort({ date: -1 });
-    res.json(history);
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = new Date(req.query.from);
+      if (req.query.to) filter.date.$lte = new Date(req.query.to);
+    }
+    const writeOffs = await WriteOff.find(filter).sort({ date: -1 }).populate('clinic', 'name');
+    res.json({
+      writeOffs,
+      totalQuantity: writeOffs.reduce((sum, w) => sum + w.quantity, 0),
+      totalCost: writeOffs.reduce((sum, w) => sum + w.cost, 0)
+    });
   } catch (err) {
-    res.status(500).json({ message: 'Failed to fetch transfer history' });
+    res.status(500).json({ message: err.message });
   }
 });
 
-// Update a transfer history record
-router.put('/transfer/history/:id', async (req, res) => {
+// Write off expired stock of a medicine (all expired lots, or the ones in lotIds)
+router.post('/:id/write-off', requirePermission('expiry:writeoff'), async (req, res) => {
   try {
-    const { medicineName, quantity, fromClinic, toClinic, date } = req.body;
-    const updated = await TransferHistory.findByIdAndUpdate(
-      req.params.id,
-      { medicineName, quantity, fromClinic, toClinic, date },
-      { new: true }
-    );
-    if (!updated) return res.status(404).json({ message: 'Transfer record not found' });
-    res.json(updated);
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
+    const before = snapshot(medicine);
+    const lots = writeOffExpired(medicine, req.body.lotIds);
+    if (lots.length === 0) return res.status(400).json({ message: 'No expired stock to write off' });
+    const writeOff = new WriteOff({
+      medicine: medicine._id,
+      medicineName: medicine.name,
+      clinic: medicine.clinic,
+      lots,
+      quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+      cost: lots.reduce((sum, lot) => sum + lot.quantity * (lot.purchasePrice ?? medicine.purchasePrice ?? 0), 0),
+      reason: req.body.reason || 'expired',
+      writtenOffBy: req.user.userId,
+      writtenOffByName: req.user.name
+    });
+    await inStockTransaction(async (session) => {
+      await medicine.save({ session });
+      await writeOff.save({ session });
+      await recordMovements({
+        medicine, type: 'write_off', direction: -1, lots, source: { type: 'WriteOff', id: writeOff._id }, req, session
+      });
+    });
+    await recordAudit({
+      req,
+      action: 'write_off',
+      entity: 'medicine',
+      entityId: medicine._id,
+      clinic: medicine.clinic,
+      before,
+      after: { medicine, writeOff }
+    });
+    res.status(201).json(writeOff);
   } catch (err) {
-    res.status(400).json({ message: err.message || 'Failed to update transfer record' });
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
 
-// Delete a transfer history record
-router.delete('/transfer/history/:id', async (req, res) => {
+// Get all active clinics with their worker names (same data as GET /api/clinics, kept for older clients)
+router.get('/clinics', requirePermission('medicines:read'), async (req, res) => {
   try {
-    const deleted = await TransferHistory.findByIdAndDelete(req.params.id);
-    if (!deleted) return res.status(404).json({ message: 'Transfer record not found' });
-    res.json({ message: 'Transfer record deleted' });
+    const clinics = await Clinic.find({ active: true }).sort({ name: 1 });
+    const users = await User.find({ role: 'worker', clinic: { $ne: null }, active: { $ne: false } }, 'clinic name');
+    // Map: { clinicId: [worker1, worker2, ...] }
+    const clinicWorkers = {};
+    users.forEach(u => {
+      const key = String(u.clinic);
+      if (!clinicWorkers[key]) clinicWorkers[key] = [];
+      clinicWorkers[key].push(u.name);
+    });
+    res.json(clinics.map(c => ({ _id: c._id, name: c.name, workers: clinicWorkers[String(c._id)] || [] })));
   } catch (err) {
-    res.status(400).json({ message: err.message || 'Failed to delete transfer record' });
+    res.status(500).json({ message: err.message });
   }
 });
 
@@ -0,0 +1,188 @@
+// Clinic price lists, admin approval codes for prices outside the limits, and the override log
+const express = require('express');
+const PriceList = require('../models/PriceList');
+const PriceOverride = require('../models/PriceOverride');
+const ApprovalCode = require('../models/ApprovalCode');
+const Medicine = require('../models/Medicine');
+const Product = require('../models/Product');
+const Clinic = require('../models/Clinic');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { getSettings } = require('../services/settings');
+const { PRICE_LIMIT_DEFAULTS, inForce, generateApprovalCode } = require('../services/pricing');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const PRICE_FIELDS = ['mrp', 'retailPrice', 'effectiveFrom', 'effectiveTo', 'notes'];
+const APPROVAL_CODE_MINUTES = 15;
+
+// Price list entries of a clinic (?clinic=&medicine=&product=&at=); with `at` only those in force then
+router.get('/', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = req.query.at ? inForce(clinic, new Date(req.query.at)) : { clinic };
+    if (req.query.medicine) filter.medicine = req.query.medicine;
+    if (req.query.product) filter.product = req.query.product;
+    res.json(await PriceList.find(filter).sort({ medicineName: 1, effectiveFrom: -1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Current price of every medicine in a clinic, for filling in rates at the till
+router.get('/current', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const [medicines, prices] = await Promise.all([
+      Medicine.find({ clinic }, 'name product purchasePrice quantity').sort({ name: 1 }),
+      PriceList.find(inForce(clinic, new Date())).sort({ effectiveFrom: -1 })
+    ]);
+    // Newest entry first, so the first one seen per medicine or product is the one in force
+    const byMedicine = {};
+    const byProduct = {};
+    prices.forEach(price => {
+      if (price.medicine && !byMedicine[String(price.medicine)]) byMedicine[String(price.medicine)] = price;
+      if (!price.medicine && price.product && !byProduct[String(price.product)]) byProduct[String(price.product)] = price;
+    });
+    res.json(medicines.map(medicine => {
+      const price = byMedicine[String(medicine._id)] || (medicine.product && byProduct[String(medicine.product)]) || null;
+      return {
+        medicine: medicine._id,
+        name: medicine.name,
+        quantity: medicine.quantity,
+        purchasePrice: medicine.purchasePrice,
+        retailPrice: price ? price.retailPrice : null,
+        mrp: price ? price.mrp ?? null : null,
+        effectiveFrom: price ? price.effectiveFrom : null,
+        priceId: price ? price._id : null
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Margin and discount limits in force (global settings)
+router.get('/limits', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    res.json(await getSettings(PRICE_LIMIT_DEFAULTS));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Price overrides (?clinic=&from=&to=&violations=true for those that needed approval)
+router.get('/overrides', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
+    if (req.query.from) filter.at = { ...filter.at, $gte: new Date(req.query.from) };
+    if (req.query.to) filter.at = { ...filter.at, $lte: new Date(req.query.to + 'T23:59:59.999Z') };
+    if (req.query.violations === 'true') filter['violations.0'] = { $exists: true };
+    res.json(await PriceOverride.find(filter).sort({ at: -1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Issue a single-use approval code. Body: { clinic, minutes, note }; without clinic it works in every clinic.
+// The code is only shown in this response.
+router.post('/approval-codes', requirePermission('prices:approve'), async (req, res) => {
+  try {
+    const clinic = req.body.clinic || null;
+    if (clinic && !(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    const minutes = req.body.minutes === undefined ? APPROVAL_CODE_MINUTES : Number(req.body.minutes);
+    if (!(minutes > 0 && minutes <= 24 * 60)) return res.status(400).json({ message: 'Minutes must be between 1 and 1440' });
+    const { code, codeHash } = generateApprovalCode();
+    const approval = await ApprovalCode.create({
+      codeHash,
+      clinic,
+      note: req.body.note,
+      issuedBy: req.user.userId,
+      issuedByName: req.user.name,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+    await recordAudit({
+      req,
+      action: 'issue_approval_code',
+      entity: 'approval_code',
+      entityId: approval._id,
+      clinic,
+      after: { expiresAt: approval.expiresAt, note: approval.note }
+    });
+    res.status(201).json({ _id: approval._id, code, clinic, expiresAt: approval.expiresAt });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Add a price. Body: { clinic, medicine or product, retailPrice, mrp, effectiveFrom, effectiveTo, notes }
+router.post('/', requirePermission('prices:manage'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const price = new PriceList({ clinic, createdBy: req.user.userId, createdByName: req.user.name });
+    if (req.body.medicine) {
+      const medicine = await Medicine.findOne({ _id: req.body.medicine, clinic });
+      if (!medicine) return res.status(400).json({ message: 'Medicine not found in this clinic' });
+      price.medicine = medicine._id;
+      price.product = medicine.product;
+      price.medicineName = medicine.name;
+    } else if (req.body.product) {
+      const product = await Product.findById(req.body.product);
+      if (!product) return res.status(400).json({ message: 'Product not found' });
+      price.product = product._id;
+      price.medicineName = product.name;
+    } else {
+      return res.status(400).json({ message: 'A medicine or a product is required' });
+    }
+    PRICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) price[field] = req.body[field];
+    });
+    await price.save();
+    await recordAudit({ req, action: 'create', entity: 'price', entityId: price._id, clinic, after: price });
+    res.status(201).json(price);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Change a price (e.g. set effectiveTo to end it)
+router.put('/:id', requirePermission('prices:manage'), async (req, res) => {
+  try {
+    const price = await PriceList.findById(req.params.id);
+    if (!price) return res.status(404).json({ message: 'Price not found' });
+    if (!canAccessClinic(req.user, price.clinic)) return denyClinic(res);
+    const before = price.toObject();
+    PRICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) price[field] = req.body[field];
+    });
+    await price.save();
+    await recordAudit({ req, action: 'update', entity: 'price', entityId: price._id, clinic: price.clinic, before, after: price });
+    res.json(price);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.delete('/:id', requirePermission('prices:manage'), async (req, res) => {
+  try {
+    const price = await PriceList.findById(req.params.id);
+    if (!price) return res.status(404).json({ message: 'Price not found' });
+    if (!canAccessClinic(req.user, price.clinic)) return denyClinic(res);
+    await price.deleteOne();
+    await recordAudit({ req, action: 'delete', entity: 'price', entityId: price._id, clinic: price.clinic, before: price });
+    res.json({ message: 'Price deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+// Product catalog routes: one entry per drug, shared by every clinic's stock rows
+const express = require('express');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Medicine = require('../models/Medicine');
+const Sale = require('../models/Sale');
+const {
+  verifyToken, requirePermission, hasAllClinics, requestedClinic, canAccessClinic, denyClinic
+} = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { fefoOrder, isExpired } = require('../services/inventory');
+const { nameKey, nameScore, bestMatch } = require('../services/nameMatcher');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const PRODUCT_FIELDS = ['name', 'genericName', 'brand', 'strength', 'dosageForm', 'packSize', 'manufacturer', 'taxCategory', 'active'];
+
+const cleanBarcode = (code) => String(code || '').trim();
+
+// Copy catalog fields from the request body. Barcodes are trimmed, de-duplicated and empty ones dropped.
+const applyFields = (product, body) => {
+  PRODUCT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) product[field] = body[field];
+  });
+  if (Array.isArray(body.barcodes)) {
+    product.barcodes = [...new Set(body.barcodes.map(cleanBarcode).filter(Boolean))];
+  }
+};
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// First of the barcodes already used by another product, or null
+const barcodeTaken = async (barcodes, productId) => {
+  if (!barcodes || barcodes.length === 0) return null;
+  const other = await Product.findOne({ barcodes: { $in: barcodes }, _id: { $ne: productId } }, 'barcodes');
+  return other ? barcodes.find(code => other.barcodes.includes(code)) : null;
+};
+
+const barcodeTakenMessage = (code) => `Barcode ${code} already belongs to another product`;
+
+// List or search products (?search= matches name, generic name, brand and merged names)
+router.get('/', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { active: true };
+    if (req.query.search) {
+      const search = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [{ name: search }, { genericName: search }, { brand: search }, { aliases: search }, { barcodes: req.query.search.trim() }];
+    }
+    res.json(await Product.find(filter).sort({ name: 1 }).limit(Number(req.query.limit) || 200));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Groups of similar medicine names not yet linked to a product, each with the closest existing
+// product. ?minScore= (default 80) sets how alike names must be to be grouped.
+router.get('/merge-suggestions', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const minScore = Number(req.query.minScore) || 80;
+    const rows = await Medicine.aggregate([
+      { $match: { product: null } },
+      { $group: { _id: { $toLower: { $trim: { input: '$name' } } }, names: { $addToSet: '$name' }, medicines: { $push: '$_id' }, clinics: { $addToSet: '$clinic' } } }
+    ]);
+    const products = await Product.find({ active: true }, 'name aliases');
+    const productNames = {};
+    products.forEach(p => [p.name, ...p.aliases].forEach(n => { productNames[nameKey(n)] = p; }));
+
+    const used = new Set();
+    const groups = [];
+    rows.forEach(row => {
+      if (used.has(row._id)) return;
+      const members = rows.filter(other => !used.has(other._id) && nameScore(row._id, other._id) >= minScore);
+      members.forEach(m => used.add(m._id));
+      const match = bestMatch(row._id, Object.keys(productNames), minScore);
+      if (members.length < 2 && !match) return;
+      groups.push({
+        names: members.flatMap(m => m.names),
+        medicines: members.flatMap(m => m.medicines),
+        clinics: [...new Set(members.flatMap(m => m.clinics.map(String)))],
+        suggestedProduct: match ? { _id: productNames[match.name]._id, name: productNames[match.name].name, score: match.score } : null
+      });
+    });
+    res.json(groups);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Fold medicines into a catalog entry.
+// Body: { productId } or { product: { name, ... } } to create one, plus medicineIds and/or names
+// (every clinic's medicine with one of those names). rename: true renames the medicines to the product name.
+router.post('/merge', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const { productId, medicineIds = [], names = [], rename } = req.body;
+    if (medicineIds.length === 0 && names.length === 0) {
+      return res.status(400).json({ message: 'medicineIds or names are required' });
+    }
+    let product;
+    let created = false;
+    if (productId) {
+      product = await Product.findById(productId);
+      if (!product) return res.status(404).json({ message: 'Product not found' });
+    } else {
+      if (!req.body.product || !req.body.product.name) {
+        return res.status(400).json({ message: 'productId or a new product with a name is required' });
+      }
+      product = new Product();
+      applyFields(product, req.body.product);
+      const taken = await barcodeTaken(product.barcodes);
+      if (taken) return res.status(400).json({ message: barcodeTakenMessage(taken) });
+      created = true;
+    }
+
+    const conditions = [{ _id: { $in: medicineIds.filter(id => mongoose.isValidObjectId(id)) } }];
+    // Names match regardless of case and surrounding spaces
+    names.map(nameKey).filter(Boolean).forEach(key => {
+      conditions.push({ name: { $regex: `^\\s*${escapeRegex(key)}\\s*$`, $options: 'i' } });
+    });
+    const medicines = await Medicine.find({ $or: conditions });
+    if (medicines.length === 0) return res.status(404).json({ message: 'No matching medicines found' });
+    // Merging touches every clinic's stock, so it needs cross-clinic access unless it stays in one clinic
+    const clinics = new Set(medicines.map(m => String(m.clinic)));
+    if (!hasAllClinics(req.user) && (clinics.size > 1 || !clinics.has(String(req.user.clinic)))) {
+      return res.status(403).json({ message: 'Access denied for this clinic' });
+    }
+
+    const aliases = new Set(product.aliases);
+    medicines.forEach(m => { if (nameKey(m.name) !== nameKey(product.name)) aliases.add(m.name); });
+    product.aliases = [...aliases];
+    await product.save();
+
+    const medicineUpdate = { product: product._id };
+    if (rename) medicineUpdate.name = product.name;
+    const ids = medicines.map(m => m._id);
+    await Medicine.updateMany({ _id: { $in: ids } }, { $set: medicineUpdate });
+    // Link past sales too, so reports can group them under the product
+    const salesLinked = await Sale.updateMany({ medicine: { $in: ids }, product: null }, { $set: { product: product._id } });
+
+    await recordAudit({
+      req,
+      action: 'merge',
+      entity: 'product',
+      entityId: product._id,
+      before: { medicines: medicines.map(m => ({ _id: m._id, name: m.name, clinic: m.clinic, product: m.product })) },
+      after: { product, created, rename: !!rename }
+    });
+    res.json({ product, created, medicines: ids.length, salesLinked: salesLinked.modifiedCount });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Point-of-sale scan: the clinic's stock row, price and next lot for a barcode.
+// Unknown codes return 404 with found: false so the client can offer to register the product.
+router.get('/scan/:code', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    const code = cleanBarcode(req.params.code);
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const product = await Product.findOne({ barcodes: code });
+    if (!product) {
+      return res.status(404).json({ found: false, code, reason: 'unknown_barcode', message: 'No product has this barcode' });
+    }
+    const medicine = await Medicine.findOne({ product: product._id, clinic });
+    if (!medicine) {
+      return res.json({ found: true, code, product, medicine: null, lot: null, price: null, reason: 'not_stocked' });
+    }
+    // The lot a sale would take first; expired lots are only shown when nothing else is left
+    const now = new Date();
+    const lots = fefoOrder(medicine.lots).filter(lot => lot.quantity > 0);
+    const lot = lots.find(l => !isExpired(l, now)) || lots[0] || null;
+    const lastSale = await Sale.findOne({ medicine: medicine._id }).sort({ soldAt: -1 }).select('rate soldAt');
+    res.json({
+      found: true,
+      code,
+      product,
+      medicine: {
+        _id: medicine._id,
+        name: medicine.name,
+        quantity: medicine.quantity,
+        available: medicine.quantity - (medicine.quarantinedQuantity || 0),
+        expiryDate: medicine.expiryDate
+      },
+      lot: lot && {
+        _id: lot._id,
+        batchNumber: lot.batchNumber,
+        expiryDate: lot.expiryDate,
+        quantity: lot.quantity,
+        expired: isExpired(lot, now)
+      },
+      price: {
+        purchasePrice: lot?.purchasePrice ?? medicine.purchasePrice,
+        lastSaleRate: lastSale ? lastSale.rate : null
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Add a barcode to a product
+router.post('/:id/barcodes', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const code = cleanBarcode(req.body.barcode);
+    if (!code) return res.status(400).json({ message: 'Barcode is required' });
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (await barcodeTaken([code], product._id)) return res.status(400).json({ message: barcodeTakenMessage(code) });
+    if (!product.barcodes.includes(code)) {
+      const before = snapshot(product);
+      product.barcodes.push(code);
+      await product.save();
+      await recordAudit({ req, action: 'update', entity: 'product', entityId: product._id, before, after: product });
+    }
+    res.status(201).json(product);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Remove a barcode from a product
+router.delete('/:id/barcodes/:code', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const before = snapshot(product);
+    const code = cleanBarcode(req.params.code);
+    if (!product.barcodes.includes(code)) return res.status(404).json({ message: 'Barcode not found on this product' });
+    product.barcodes = product.barcodes.filter(c => c !== code);
+    await product.save();
+    await recordAudit({ req, action: 'update', entity: 'product', entityId: product._id, before, after: product });
+    res.json(product);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a product with its stock in each clinic
+router.get('/:id', requirePermission('medicines:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Product not found' });
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const filter = { product: product._id };
+    if (!hasAllClinics(req.user)) filter.clinic = req.user.clinic;
+    const stock = await Medicine.find(filter, 'name clinic quantity purchasePrice expiryDate').populate('clinic', 'name');
+    res.json({ ...product.toObject(), stock });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a product
+router.post('/', requirePermission('products:manage'), async (req, res) => {
+  try {
+    if (!req.body.name) return res.status(400).json({ message: 'Product name is required' });
+    const product = new Product();
+    applyFields(product, req.body);
+    const taken = await barcodeTaken(product.barcodes);
+    if (taken) return res.status(400).json({ message: barcodeTakenMessage(taken) });
+    await product.save();
+    await recordAudit({ req, action: 'create', entity: 'product', entityId: product._id, after: product });
+    res.status(201).json(product);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a product (set active: false to hide it from the catalog)
+router.put('/:id', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const before = snapshot(product);
+    applyFields(product, req.body);
+    const taken = await barcodeTaken(product.barcodes, product._id);
+    if (taken) return res.status(400).json({ message: barcodeTakenMessage(taken) });
+    await product.save();
+    await recordAudit({ req, action: 'update', entity: 'product', entityId: product._id, before, after: product });
+    res.json(product);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a product that no stock refers to; otherwise deactivate it
+router.delete('/:id', requirePermission('products:manage'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (await Medicine.exists({ product: product._id })) {
+      return res.status(400).json({ message: 'Clinics still stock this product. Deactivate it instead.' });
+    }
+    await Product.findByIdAndDelete(product._id);
+    await recordAudit({ req, action: 'delete', entity: 'product', entityId: product._id, before: product });
+    res.json({ message: 'Product deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
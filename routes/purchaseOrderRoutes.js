@@ -0,0 +1,369 @@
+// Purchase orders: draft -> ordered -> partially_received -> received (or cancelled).
+// Goods receipts add stock to the clinic as lots and update the medicine's purchase price.
+const express = require('express');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Medicine = require('../models/Medicine');
+const Clinic = require('../models/Clinic');
+const Counter = require('../models/Counter');
+const Product = require('../models/Product');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { addLot, lotRecord } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+// Error with an HTTP status, thrown inside transactions
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+// Validate order lines from the request body; medicines must belong to the order's clinic.
+// A line names a clinic medicine, a catalog product or just a medicine name.
+const parseItems = async (items, clinic) => {
+  if (!Array.isArray(items) || items.length === 0) throw requestError(400, 'At least one item is required');
+  const parsed = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const unitCost = Number(item.unitCost);
+    if (!(quantity > 0) || !(unitCost >= 0)) {
+      throw requestError(400, 'Every item needs a quantity above zero and a unit cost');
+    }
+    let medicineName = item.medicineName;
+    let product = item.product;
+    if (item.medicine) {
+      const medicine = await Medicine.findOne({ _id: item.medicine, clinic });
+      if (!medicine) throw requestError(400, 'Medicine not found in this clinic');
+      medicineName = medicineName || medicine.name;
+      product = product || medicine.product;
+    } else if (product) {
+      const found = await Product.findById(product);
+      if (!found) throw requestError(400, 'Product not found');
+      medicineName = medicineName || found.name;
+    }
+    if (!medicineName) throw requestError(400, 'Every item needs a medicine, a product or a medicine name');
+    parsed.push({ medicine: item.medicine || undefined, product: product || undefined, medicineName, quantity, unitCost });
+  }
+  return parsed;
+};
+
+const loadOrder = async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({ message: 'Purchase order not found' });
+    return null;
+  }
+  if (!canAccessClinic(req.user, order.clinic)) {
+    denyClinic(res);
+    return null;
+  }
+  return order;
+};
+
+// List purchase orders (?clinic=&status=&supplier=)
+router.get('/', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplier) filter.supplier = req.query.supplier;
+    const orders = await PurchaseOrder.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('supplier', 'name')
+      .populate('clinic', 'name');
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Orders still waiting for goods, with the outstanding lines and their value
+router.get('/reports/outstanding', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = { status: { $in: OPEN_STATUSES } };
+    if (clinic) filter.clinic = clinic;
+    const orders = await PurchaseOrder.find(filter)
+      .sort({ orderedAt: 1 })
+      .populate('supplier', 'name')
+      .populate('clinic', 'name');
+    const now = Date.now();
+    const result = orders.map(order => {
+      const items = order.items
+        .filter(item => item.quantity > item.receivedQuantity)
+        .map(item => ({
+          item: item._id,
+          medicine: item.medicine,
+          medicineName: item.medicineName,
+          ordered: item.quantity,
+          received: item.receivedQuantity,
+          outstanding: item.quantity - item.receivedQuantity,
+          value: (item.quantity - item.receivedQuantity) * item.unitCost
+        }));
+      return {
+        _id: order._id,
+        number: order.number,
+        supplier: order.supplier,
+        clinic: order.clinic,
+        status: order.status,
+        orderedAt: order.orderedAt,
+        expectedDate: order.expectedDate,
+        overdue: !!order.expectedDate && order.expectedDate.getTime() < now,
+        items,
+        outstandingValue: items.reduce((sum, item) => sum + item.value, 0)
+      };
+    });
+    res.json({
+      orders: result,
+      totalOutstanding: result.reduce((sum, order) => sum + order.outstandingValue, 0)
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Spend per supplier from goods receipts (?clinic=&from=&to=)
+router.get('/reports/supplier-spend', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const match = {};
+    if (clinic) match.clinic = new mongoose.Types.ObjectId(clinic);
+    const receiptMatch = {};
+    if (req.query.from) receiptMatch.$gte = new Date(req.query.from);
+    if (req.query.to) receiptMatch.$lte = new Date(req.query.to);
+
+    const pipeline = [{ $match: match }, { $unwind: '$receipts' }];
+    if (Object.keys(receiptMatch).length > 0) pipeline.push({ $match: { 'receipts.receivedAt': receiptMatch } });
+    pipeline.push({
+      $group: {
+        _id: '$supplier',
+        spend: { $sum: '$receipts.total' },
+        receipts: { $sum: 1 },
+        orders: { $addToSet: '$_id' }
+      }
+    });
+    const rows = await PurchaseOrder.aggregate(pipeline);
+    const suppliers = await Supplier.find({ _id: { $in: rows.map(r => r._id) } }, 'name');
+    const names = {};
+    suppliers.forEach(s => { names[String(s._id)] = s.name; });
+    const result = rows
+      .map(r => ({
+        supplier: r._id,
+        name: names[String(r._id)] || 'Unknown supplier',
+        spend: r.spend,
+        receipts: r.receipts,
+        orders: r.orders.length
+      }))
+      .sort((a, b) => b.spend - a.spend);
+    res.json({ suppliers: result, totalSpend: result.reduce((sum, r) => sum + r.spend, 0) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a single purchase order
+router.get('/:id', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    await order.populate('supplier clinic', 'name');
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a draft order
+router.post('/', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    const supplier = await Supplier.findOne({ _id: req.body.supplier, active: true });
+    if (!supplier) return res.status(400).json({ message: 'Unknown or inactive supplier' });
+    const items = await parseItems(req.body.items, clinic);
+    const seq = await Counter.next('purchaseOrder');
+    const order = await PurchaseOrder.create({
+      number: `PO-${String(seq).padStart(6, '0')}`,
+      supplier: supplier._id,
+      clinic,
+      items,
+      notes: req.body.notes,
+      expectedDate: req.body.expectedDate,
+      createdBy: req.user.userId,
+      createdByName: req.user.name
+    });
+    await recordAudit({ req, action: 'create', entity: 'purchase_order', entityId: order._id, clinic, after: order });
+    res.status(201).json(order);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Edit a draft order
+router.put('/:id', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (order.status !== 'draft') return res.status(400).json({ message: 'Only draft orders can be edited' });
+    const before = snapshot(order);
+    if (req.body.supplier !== undefined) {
+      const supplier = await Supplier.findOne({ _id: req.body.supplier, active: true });
+      if (!supplier) return res.status(400).json({ message: 'Unknown or inactive supplier' });
+      order.supplier = supplier._id;
+    }
+    if (req.body.items !== undefined) order.items = await parseItems(req.body.items, order.clinic);
+    if (req.body.notes !== undefined) order.notes = req.body.notes;
+    if (req.body.expectedDate !== undefined) order.expectedDate = req.body.expectedDate;
+    await order.save();
+    await recordAudit({ req, action: 'update', entity: 'purchase_order', entityId: order._id, clinic: order.clinic, before, after: order });
+    res.json(order);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Send a draft order to the supplier
+router.post('/:id/order', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (order.status !== 'draft') return res.status(400).json({ message: 'Only draft orders can be placed' });
+    const before = snapshot(order);
+    order.status = 'ordered';
+    order.orderedAt = new Date();
+    await order.save();
+    await recordAudit({ req, action: 'order', entity: 'purchase_order', entityId: order._id, clinic: order.clinic, before, after: order });
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Cancel an order that has not received anything yet
+router.post('/:id/cancel', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if (!['draft', 'ordered'].includes(order.status)) {
+      return res.status(400).json({ message: 'Only draft or ordered purchase orders without receipts can be cancelled' });
+    }
+    const before = snapshot(order);
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    await order.save();
+    await recordAudit({ req, action: 'cancel', entity: 'purchase_order', entityId: order._id, clinic: order.clinic, before, after: order });
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Post a goods receipt.
+// Body: { items: [{ itemId, quantity, batchNumber, expiryDate, unitCost }] } (unitCost defaults to the ordered cost)
+router.post('/:id/receive', requirePermission('purchasing:receive'), async (req, res) => {
+  const lines = Array.isArray(req.body.items) ? req.body.items : [];
+  if (lines.length === 0) return res.status(400).json({ message: 'Nothing to receive' });
+  const session = await Medicine.startSession();
+  session.startTransaction();
+  try {
+    const order = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!order) throw requestError(404, 'Purchase order not found');
+    if (!canAccessClinic(req.user, order.clinic)) throw requestError(403, 'Access denied for this clinic');
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw requestError(400, 'Only ordered or partially received purchase orders can be received');
+    }
+    const before = snapshot(order);
+    const receipt = { receivedBy: req.user.userId, receivedByName: req.user.name, items: [], total: 0 };
+    const medicines = [];
+
+    for (const line of lines) {
+      const item = order.items.id(line.itemId);
+      if (!item) throw requestError(400, `Order line ${line.itemId} not found`);
+      const quantity = Number(line.quantity);
+      if (!(quantity > 0)) throw requestError(400, 'Received quantity must be greater than zero');
+      if (item.receivedQuantity + quantity > item.quantity) {
+        throw requestError(400, `Only ${item.quantity - item.receivedQuantity} of ${item.medicineName} are outstanding`);
+      }
+      const unitCost = line.unitCost !== undefined ? Number(line.unitCost) : item.unitCost;
+      if (!(unitCost >= 0)) throw requestError(400, 'Unit cost cannot be negative');
+
+      // The ordered medicine, or the clinic's stock of the product, or its medicine with that name, or a new one
+      let medicine = item.medicine ? await Medicine.findById(item.medicine).session(session) : null;
+      if (!medicine && item.product) {
+        medicine = await Medicine.findOne({ product: item.product, clinic: order.clinic }).session(session);
+      }
+      if (!medicine) medicine = await Medicine.findOne({ name: item.medicineName, clinic: order.clinic }).session(session);
+      if (!medicine) {
+        medicine = new Medicine({
+          name: item.medicineName,
+          product: item.product,
+          quantity: 0,
+          purchasePrice: unitCost,
+          clinic: order.clinic
+        });
+      }
+      const lot = addLot(medicine, {
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        quantity,
+        purchasePrice: unitCost
+      });
+      medicine.purchasePrice = unitCost;
+      await medicine.save({ session });
+      await recordMovements({
+        medicine,
+        type: 'receipt',
+        lots: [lotRecord(lot, quantity)],
+        source: { type: 'PurchaseOrder', id: order._id },
+        req,
+        session
+      });
+      medicines.push(medicine);
+
+      item.medicine = medicine._id;
+      item.receivedQuantity += quantity;
+      receipt.items.push({
+        item: item._id,
+        medicine: medicine._id,
+        lot: lot._id,
+        quantity,
+        unitCost,
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate
+      });
+      receipt.total += quantity * unitCost;
+    }
+
+    order.receipts.push(receipt);
+    const complete = order.items.every(item => item.receivedQuantity >= item.quantity);
+    order.status = complete ? 'received' : 'partially_received';
+    if (complete) order.receivedAt = new Date();
+    await order.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    await recordAudit({
+      req,
+      action: 'receive',
+      entity: 'purchase_order',
+      entityId: order._id,
+      clinic: order.clinic,
+      before,
+      after: { order, medicines }
+    });
+    res.json(order);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
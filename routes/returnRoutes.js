@@ -0,0 +1,246 @@
+// Customer returns and refunds against recorded sales. Sales are never changed by a return
+// apart from their returned quantity; returned units go back to sellable stock or are written off.
+const express = require('express');
+const SaleReturn = require('../models/SaleReturn');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const Medicine = require('../models/Medicine');
+const WriteOff = require('../models/WriteOff');
+const Counter = require('../models/Counter');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { returnStock, saleConsumption } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const { PAYMENT_METHODS, shiftFor } = require('../services/payments');
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Error with an HTTP status, thrown inside transactions
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Lots of a sale that have not been returned yet
+const returnableLots = (sale) => {
+  const returned = {};
+  sale.returnedLots.forEach(lot => {
+    const key = String(lot.lot);
+    returned[key] = (returned[key] || 0) + lot.quantity;
+  });
+  return saleConsumption(sale).map(lot => {
+    const key = String(lot.lot);
+    const already = Math.min(returned[key] || 0, lot.quantity);
+    returned[key] = (returned[key] || 0) - already;
+    return {
+      lot: lot.lot,
+      batchNumber: lot.batchNumber,
+      expiryDate: lot.expiryDate,
+      quantity: lot.quantity - already,
+      purchasePrice: lot.purchasePrice
+    };
+  }).filter(lot => lot.quantity > 0);
+};
+
+// Split a returned quantity over the sale's lots that are still out
+const allocateReturn = (sale, quantity) => {
+  let remaining = quantity;
+  const lots = [];
+  for (const lot of returnableLots(sale)) {
+    if (remaining === 0) break;
+    const take = Math.min(lot.quantity, remaining);
+    lots.push({ ...lot, quantity: take });
+    remaining -= take;
+  }
+  return lots;
+};
+
+// List returns (?clinic=&from=&to=&sale=&invoice=), newest first
+router.get('/', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = { clinic };
+    if (req.query.from) filter.returnedAt = { ...filter.returnedAt, $gte: new Date(req.query.from) };
+    if (req.query.to) filter.returnedAt = { ...filter.returnedAt, $lte: new Date(req.query.to + 'T23:59:59.999Z') };
+    if (req.query.sale) filter['lines.sale'] = req.query.sale;
+    if (req.query.invoice) filter.invoice = req.query.invoice;
+    const returns = await SaleReturn.find(filter).sort({ returnedAt: -1 });
+    res.json(returns);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const saleReturn = await SaleReturn.findById(req.params.id).populate('lines.sale');
+    if (!saleReturn) return res.status(404).json({ message: 'Return not found' });
+    if (!canAccessClinic(req.user, saleReturn.clinic)) return denyClinic(res);
+    res.json(saleReturn);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Record a return
+router.post('/', requirePermission('sales:return'), async (req, res) => {
+  /*
+    Body: {
+      sale: String, // sale id, for lines that do not name one
+      invoice: String, // optional; every line must belong to this invoice
+      lines: [{
+        sale: String,
+        quantity: Number,
+        disposition: 'restock' | 'damaged', // default restock
+        reasonCode: String, // default: the return's reasonCode
+        refundAmount: Number // default: what the customer paid for those units
+      }],
+      reasonCode: String,
+      refundMethod: 'cash' | 'card' | 'mobile_wallet' | 'credit', // default cash
+      notes: String
+    }
+  */
+  const { notes } = req.body;
+  const reasonCode = req.body.reasonCode || 'other';
+  if (!SaleReturn.REASON_CODES.includes(reasonCode)) return res.status(400).json({ message: 'Unknown reason code' });
+  const refundMethod = req.body.refundMethod || 'cash';
+  if (!PAYMENT_METHODS.includes(refundMethod)) return res.status(400).json({ message: 'Unknown refund method' });
+  if (!Array.isArray(req.body.lines) || req.body.lines.length === 0) {
+    return res.status(400).json({ message: 'At least one line is required' });
+  }
+  const session = await Medicine.startSession();
+  session.startTransaction();
+  try {
+    let invoice = null;
+    if (req.body.invoice) {
+      invoice = await Invoice.findById(req.body.invoice).session(session);
+      if (!invoice) throw requestError(404, 'Invoice not found');
+    }
+    const saleReturn = new SaleReturn({
+      invoice: invoice?._id,
+      invoiceNumber: invoice?.number,
+      reasonCode,
+      refundMethod,
+      notes,
+      processedBy: req.user.userId,
+      processedByName: req.user.name
+    });
+    const source = { type: 'SaleReturn', id: saleReturn._id };
+    const sales = {};
+    const medicines = {};
+    let clinic = invoice ? String(invoice.clinic) : null;
+
+    for (const [index, input] of req.body.lines.entries()) {
+      const label = `Line ${index + 1}`;
+      const saleId = String(input.sale || req.body.sale || '');
+      if (!saleId) throw requestError(400, `${label}: sale is required`);
+      if (!sales[saleId]) {
+        const found = await Sale.findById(saleId).session(session);
+        if (!found) throw requestError(404, `${label}: sale not found`);
+        sales[saleId] = found;
+      }
+      const sale = sales[saleId];
+      if (!canAccessClinic(req.user, sale.clinic)) throw requestError(403, 'Access denied for this clinic');
+      if (invoice && String(sale.invoice) !== String(invoice._id)) throw requestError(400, `${label}: sale is not on this invoice`);
+      if (clinic && String(sale.clinic) !== clinic) throw requestError(400, 'All returned sales must belong to the same clinic');
+      clinic = String(sale.clinic);
+
+      const quantity = Number(input.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) throw requestError(400, `${label}: quantity must be a whole number above zero`);
+      if (quantity > sale.quantity - sale.returnedQuantity) {
+        throw requestError(400, `${label}: only ${sale.quantity - sale.returnedQuantity} of ${sale.medicineName} can still be returned`);
+      }
+      const disposition = input.disposition || 'restock';
+      if (!SaleReturn.DISPOSITIONS.includes(disposition)) throw requestError(400, `${label}: unknown disposition`);
+      const lineReason = input.reasonCode || reasonCode;
+      if (!SaleReturn.REASON_CODES.includes(lineReason)) throw requestError(400, `${label}: unknown reason code`);
+      // Paid per unit after discounts and with tax; the refund gives back tax in proportion
+      const paid = round(quantity * sale.total / sale.quantity);
+      const refundAmount = input.refundAmount === undefined ? paid : Number(input.refundAmount);
+      if (!(refundAmount >= 0) || refundAmount > paid) {
+        throw requestError(400, `${label}: refund must be between 0 and ${paid}`);
+      }
+      const taxAmount = sale.total > 0 ? round(refundAmount * (sale.taxAmount || 0) / sale.total) : 0;
+
+      const lots = allocateReturn(sale, quantity);
+      sale.returnedLots.push(...lots);
+      sale.returnedQuantity += quantity;
+
+      const medicineId = String(sale.medicine);
+      if (!(medicineId in medicines)) {
+        medicines[medicineId] = await Medicine.findById(sale.medicine).session(session);
+      }
+      const medicine = medicines[medicineId];
+      if (!medicine && disposition === 'restock') {
+        throw requestError(400, `${label}: ${sale.medicineName} is no longer stocked; return it as damaged`);
+      }
+      const unitCost = lots.reduce((sum, lot) => sum + lot.quantity * (lot.purchasePrice ?? medicine?.purchasePrice ?? 0), 0) / quantity;
+      const line = {
+        sale: sale._id,
+        medicine: sale.medicine,
+        medicineName: sale.medicineName,
+        quantity,
+        rate: sale.rate,
+        refundAmount,
+        taxAmount,
+        unitCost,
+        disposition,
+        reasonCode: lineReason,
+        lots
+      };
+
+      // Units come back into the lots they were sold from; damaged units go straight out again
+      const restored = medicine ? returnStock(medicine, lots) : [];
+      if (medicine) await recordMovements({ medicine, type: 'return', lots: restored, source, req, session });
+      if (disposition === 'damaged') {
+        restored.forEach(record => {
+          const lot = medicine.lots.id(record.lot);
+          if (lot) lot.quantity -= record.quantity;
+        });
+        const writeOffLots = medicine ? restored : lots;
+        const [writeOff] = await WriteOff.create([{
+          medicine: sale.medicine,
+          medicineName: sale.medicineName,
+          clinic: sale.clinic,
+          lots: writeOffLots,
+          quantity,
+          cost: unitCost * quantity,
+          reason: 'damaged_return',
+          writtenOffBy: req.user.userId,
+          writtenOffByName: req.user.name
+        }], { session });
+        line.writeOff = writeOff._id;
+        if (medicine) {
+          await recordMovements({
+            medicine, type: 'write_off', direction: -1, lots: restored, source, req, note: 'Damaged return', session
+          });
+        }
+      }
+      saleReturn.lines.push(line);
+    }
+
+    saleReturn.clinic = clinic;
+    saleReturn.shift = (await shiftFor(req, clinic, session))?._id;
+    const sequence = await Counter.next(`return:${clinic}`, session);
+    saleReturn.number = `RET-${String(sequence).padStart(6, '0')}`;
+    for (const medicine of Object.values(medicines)) {
+      if (medicine) await medicine.save({ session });
+    }
+    for (const sale of Object.values(sales)) {
+      await sale.save({ session });
+    }
+    await saleReturn.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    await recordAudit({ req, action: 'create', entity: 'sale_return', entityId: saleReturn._id, clinic, after: saleReturn });
+    res.status(201).json(saleReturn);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
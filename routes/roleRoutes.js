@@ -0,0 +1,87 @@
+// Role management routes (admin configurable permission sets)
+const express = require('express');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+const { verifyToken, requirePermission, clearPermissionCache } = require('../middleware/auth');
+const router = express.Router();
+
+router.use(verifyToken);
+
+// List the permissions that can be granted
+router.get('/permissions', requirePermission('roles:manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+});
+
+// List roles with the number of users holding each
+router.get('/', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countMap = counts.reduce((acc, c) => {
+      acc[c._id] = c.count;
+      return acc;
+    }, {});
+    res.json(roles.map(role => ({ ...role.toObject(), userCount: countMap[role.name] || 0 })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a role
+router.post('/', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    if (!name) return res.status(400).json({ message: 'Role name is required' });
+    if (await Role.exists({ name })) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+    const role = new Role({ name, description, permissions, updatedBy: req.user.userId });
+    await role.save();
+    clearPermissionCache();
+    res.status(201).json(role);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a role's description or permissions (names are fixed because users reference them)
+router.put('/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+    if (role.name === 'admin') {
+      return res.status(400).json({ message: 'The admin role always has every permission' });
+    }
+    const { description, permissions } = req.body;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    role.updatedBy = req.user.userId;
+    await role.save();
+    clearPermissionCache();
+    res.json(role);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a custom role that nobody holds
+router.delete('/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+    if (role.system) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+    if (await User.exists({ role: role.name })) {
+      return res.status(400).json({ message: 'Role is still assigned to users' });
+    }
+    await Role.findByIdAndDelete(req.params.id);
+    clearPermissionCache();
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,80 +2,279 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Medicine = require('../models/Medicine');
+const Clinic = require('../models/Clinic');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const SaleReturn = require('../models/SaleReturn');
+const Shift = require('../models/Shift');
+const { verifyToken, requirePermission, hasPermission, hasAllClinics, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { takeStock, returnStock, saleConsumption } = require('../services/inventory');
+const { recordMovements, inStockTransaction } = require('../services/stockLedger');
+const { nameKey, bestMatch } = require('../services/nameMatcher');
+const { priceLine, applyNetRate, approvePrices, recordOverrides } = require('../services/pricing');
+const { taxConfig, taxRateFor, parseDiscount, lineTotals } = require('../services/saleTotals');
+const { parsePayments, shiftFor } = require('../services/payments');
 
-const SaleSchema = new mongoose.Schema({
-  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
-  medicineName: String,
-  clinic: String,
-  quantity: { type: Number, required: true },
-  rate: { type: Number, required: true },
-  total: { type: Number, required: true },
-  soldBy: { type: String, required: true }, // user email or id
-  soldByName: String,
-  soldAt: { type: Date, default: Date.now },
-});
+// Every sales endpoint requires a logged-in user
+router.use(verifyToken);
+
+// Returns a function giving the purchase price for a sale: its medicine's price, else the price of
+// a medicine of the same catalog product, else of a medicine with a matching name (sales whose
+// medicine was deleted). Medicines in the sale's clinic are preferred.
+const purchasePriceLookup = async () => {
+  const allMedicines = await Medicine.find({}, 'name clinic product purchasePrice');
+  const byProduct = {};
+  const byName = {};
+  allMedicines.forEach(med => {
+    if (med.product) (byProduct[String(med.product)] = byProduct[String(med.product)] || []).push(med);
+    const key = nameKey(med.name);
+    (byName[key] = byName[key] || []).push(med);
+  });
+  const names = Object.keys(byName);
+  const fuzzyCache = {};
+  const hasPrice = (med) => med.purchasePrice !== null && med.purchasePrice !== undefined;
+  const priceFrom = (matches, clinic) => {
+    const med = matches.find(m => String(m.clinic) === String(clinic)) || matches.find(hasPrice);
+    return med && hasPrice(med) ? med.purchasePrice : null;
+  };
+  return (sale) => {
+    if (sale.medicine && hasPrice(sale.medicine)) return sale.medicine.purchasePrice;
+    if (sale.product && byProduct[String(sale.product)]) return priceFrom(byProduct[String(sale.product)], sale.clinic);
+    if (!sale.medicineName) return null;
+    const key = nameKey(sale.medicineName);
+    if (!byName[key] && !(key in fuzzyCache)) {
+      const match = bestMatch(key, names);
+      fuzzyCache[key] = match ? byName[match.name] : [];
+    }
+    return priceFrom(byName[key] || fuzzyCache[key], sale.clinic);
+  };
+};
+
+// Totals, profit and top 10 medicines for a list of sales (medicine populated with purchasePrice),
+// with gross and net figures after the customer returns of the same period
+const salesSummary = async (sales, returns = []) => {
+  const purchasePriceOf = await purchasePriceLookup();
+  const totalSales = sales.reduce((sum, s) => sum + s.quantity, 0);
+  const totalRevenue = sales.reduce((sum, s) => sum + s.total, 0);
+
+  // Calculate total profit
+  let totalProfit = 0;
+  const medMap = {};
+
+  for (const sale of sales) {
+    if (!medMap[sale.medicineName]) {
+      medMap[sale.medicineName] = {
+        name: sale.medicineName,
+        quantity: 0,
+        revenue: 0,
+        profit: 0,
+        hasPurchasePrice: false
+      };
+    }
+
+    medMap[sale.medicineName].quantity += sale.quantity;
+    medMap[sale.medicineName].revenue += sale.total;
+
+    // Calculate profit using purchase price, on revenue after discounts and without tax
+    const purchasePrice = purchasePriceOf(sale);
+    if (purchasePrice !== null && purchasePrice !== undefined) {
+      const saleProfit = sale.total - (sale.taxAmount || 0) - purchasePrice * sale.quantity;
+      totalProfit += saleProfit;
+      medMap[sale.medicineName].profit += saleProfit;
+      medMap[sale.medicineName].hasPurchasePrice = true;
+    }
+  }
 
-const Sale = mongoose.model('Sale', SaleSchema);
+  // Convert profit to null for medicines without any purchase price data
+  Object.values(medMap).forEach(med => {
+    if (!med.hasPurchasePrice) {
+      med.profit = null;
+    }
+    delete med.hasPurchasePrice;
+  });
+
+  const topMedicines = Object.values(medMap).sort((a, b) => b.quantity - a.quantity).slice(0, 10);
+  // A checkout is one invoice, or one sale recorded on its own
+  const transactions = groupByInvoice(sales).length;
+  const averageTransaction = transactions > 0 ? totalRevenue / transactions : 0;
+
+  const taxCollected = sales.reduce((sum, s) => sum + (s.taxAmount || 0), 0);
+  const discounts = sales.reduce((sum, s) => sum + (s.discountAmount || 0), 0);
+
+  // Refunds come off revenue and profit; restocked units give their cost back
+  const returnLines = returns.flatMap(r => r.lines);
+  const refunds = returnLines.reduce((sum, line) => sum + line.refundAmount, 0);
+  const refundedTax = returnLines.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  const returnedCost = returnLines
+    .filter(line => line.disposition === 'restock')
+    .reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0);
+  const returnSummary = {
+    count: returns.length,
+    quantity: returnLines.reduce((sum, line) => sum + line.quantity, 0),
+    refunds,
+    tax: refundedTax
+  };
+  // Revenue figures include tax (what customers paid) unless named net-of-tax
+  return {
+    totalSales,
+    totalRevenue,
+    totalProfit,
+    grossRevenue: totalRevenue,
+    discounts,
+    taxCollected,
+    grossRevenueNetOfTax: totalRevenue - taxCollected,
+    returns: returnSummary,
+    netSales: totalSales - returnSummary.quantity,
+    netRevenue: totalRevenue - refunds,
+    netRevenueNetOfTax: totalRevenue - taxCollected - (refunds - refundedTax),
+    netTax: taxCollected - refundedTax,
+    netProfit: totalProfit - (refunds - refundedTax) + returnedCost,
+    transactions,
+    averageTransaction,
+    topMedicines
+  };
+};
+
+// Group sales by checkout: one entry per invoice (in the order the sales came), sales recorded
+// on their own stay single entries with a null invoice
+const groupByInvoice = (sales) => {
+  const groups = [];
+  const byInvoice = {};
+  sales.forEach(sale => {
+    const key = sale.invoice ? String(sale.invoice) : null;
+    let group = key && byInvoice[key];
+    if (!group) {
+      group = {
+        invoice: sale.invoice || null,
+        invoiceNumber: sale.invoiceNumber || null,
+        soldAt: sale.soldAt,
+        soldByName: sale.soldByName,
+        itemCount: 0,
+        total: 0,
+        sales: []
+      };
+      groups.push(group);
+      if (key) byInvoice[key] = group;
+    }
+    group.itemCount += sale.quantity;
+    group.total += sale.total;
+    group.sales.push(sale);
+  });
+  return groups;
+};
 
-// Record a sale
-router.post('/', async (req, res) => {
+// Expired stock is only sold when the request asks for it and the user may override expiry
+const expiryOverride = (req, res) => {
+  if (req.body.allowExpired !== true) return false;
+  if (!hasPermission(req.user, 'expiry:override')) {
+    res.status(403).json({ message: 'You are not allowed to sell expired stock' });
+    return null;
+  }
+  return true;
+};
+
+// Record a sale. Without a rate the clinic's list price is used; rates outside the price
+// limits (after the discount) need an admin approval code (approvalCode).
+// discount: { type: 'percent' | 'fixed', value }
+// payments: [{ method: 'cash' | 'card' | 'mobile_wallet' | 'credit', amount, reference }]; exact cash if omitted
+router.post('/', requirePermission('sales:create'), async (req, res) => {
   try {
-    const { medicineId, medicineName, clinic, quantity, rate, soldBy, soldByName, soldAt } = req.body;
+    const { medicineId, medicineName, quantity, rate, soldAt, approvalCode } = req.body;
+    const discount = parseDiscount(req.body.discount);
+    const allowExpired = expiryOverride(req, res);
+    if (allowExpired === null) return;
     const medicine = await Medicine.findById(medicineId);
     if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+    // The sale always belongs to the medicine's clinic
+    if (!canAccessClinic(req.user, medicine.clinic)) return denyClinic(res);
     if (medicine.quantity < quantity) return res.status(400).json({ message: 'Not enough stock' });
+    const pricing = await priceLine(medicine, rate, { at: soldAt ? new Date(soldAt) : new Date() });
+    const tax = await taxConfig(medicine.clinic);
+    const totals = lineTotals({
+      quantity: Number(quantity),
+      rate: pricing.rate,
+      discount,
+      taxRate: await taxRateFor(tax, medicine),
+      pricesIncludeTax: tax.pricesIncludeTax
+    });
+    applyNetRate(pricing, (totals.subtotal - totals.discountAmount) / quantity);
+    const { customerName } = req.body;
+    const { payments, changeGiven } = parsePayments(req.body.payments, totals.total, { customerName });
+    const shift = await shiftFor(req, medicine.clinic);
     
-    medicine.quantity -= quantity;
-    await medicine.save();
+    // Take stock from the lots that expire first (expired lots only with an override)
+    const lots = takeStock(medicine, Number(quantity), null, { allowExpired });
     
     // Create a sale with the provided date or current date
     const sale = new Sale({
       medicine: medicineId,
-      medicineName,
-      clinic,
+      medicineName: medicineName || medicine.name,
+      product: medicine.product,
+      clinic: medicine.clinic,
       quantity,
-      rate,
-      total: quantity * rate,
-      soldBy,
-      soldByName,
+      rate: pricing.rate,
+      listPrice: pricing.listPrice,
+      discount: discount || undefined,
+      ...totals,
+      pricesIncludeTax: tax.pricesIncludeTax,
+      soldBy: req.user.userId,
+      soldByName: req.user.name,
       soldAt: soldAt || new Date(), // Use provided date or current date
+      customerName,
+      payments,
+      changeGiven,
+      shift: shift?._id,
+      lots,
+      expiryOverride: allowExpired,
     });
     
-    await sale.save();
-    
-    // Log the sale with its date information
-    console.log(`Sale recorded: ${medicineName}, Date (ISO): ${sale.soldAt}`);
-    console.log(`Local date in Karachi: ${new Date(sale.soldAt).toLocaleString('en-US', { timeZone: 'Asia/Karachi' })}`);
+    // The approval code, stock, sale and stock card are written together
+    await inStockTransaction(async (session) => {
+      const approval = await approvePrices(req, medicine.clinic, [pricing], approvalCode, session);
+      await medicine.save({ session });
+      await sale.save({ session });
+      await recordMovements({ medicine, type: 'sale', direction: -1, lots, source: { type: 'Sale', id: sale._id }, req, session });
+      await recordOverrides(req, [{ pricing, sale }], approval, session);
+    });
+    await recordAudit({ req, action: 'create', entity: 'sale', entityId: sale._id, clinic: sale.clinic, after: sale });
     
     res.status(201).json(sale);
   } catch (err) {
     console.error("Error recording sale:", err);
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message, lines: err.lines });
   }
 });
 
-// Get today's sales for a clinic
-router.get('/today', async (req, res) => {
+// Get today's sales for a clinic (?groupBy=invoice to group them by checkout)
+router.get('/today', requirePermission('sales:read'), async (req, res) => {
   try {
-    const { clinic } = req.query;
-    const start = new Date();
-    start.setHours(0,0,0,0);
-    const end = new Date();
-    end.setHours(23,59,59,999);
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    // Today in the clinic's timezone, like /by-date
+    const clinicDoc = await Clinic.findById(clinic);
+    const timezone = clinicDoc?.timezone || 'Asia/Karachi';
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: timezone });
     const sales = await Sale.find({
       clinic,
-      soldAt: { $gte: start, $lte: end }
+      soldAt: { $gte: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) },
+      $expr: { $eq: [{ $dateToString: { date: '$soldAt', format: '%Y-%m-%d', timezone } }, today] }
     }).sort({ soldAt: -1 });
-    res.json(sales);
+    res.json(req.query.groupBy === 'invoice' ? groupByInvoice(sales) : sales);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // Get sales stats for a user
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('sales:read'), async (req, res) => {
   try {
-    const { soldBy } = req.query;
+    // Cross-clinic users may look up any seller; everyone else only sees their own stats.
+    // Older sales stored the seller's email instead of their id.
+    const soldBy = hasAllClinics(req.user) && req.query.soldBy
+      ? req.query.soldBy
+      : { $in: [String(req.user.userId), req.user.email].filter(Boolean) };
     const sales = await Sale.find({ soldBy });
     const totalSold = sales.reduce((sum, s) => sum + s.quantity, 0);
     const totalEarned = sales.reduce((sum, s) => sum + s.total, 0);
@@ -86,196 +285,45 @@ router.get('/stats', async (req, res) => {
 });
 
 // Get analytics for a clinic (top medicines, total sales, revenue, profit, filter by date)
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', requirePermission('reports:read'), async (req, res) => {
   try {
-    const { clinic, from, to } = req.query;
-    const filter = { clinic };
+    const { from, to } = req.query;
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
     if (from) filter.soldAt = { ...filter.soldAt, $gte: new Date(from) };
     if (to) filter.soldAt = { ...filter.soldAt, $lte: new Date(to + 'T23:59:59.999Z') };
     
     // Get all sales for the given filters
     const sales = await Sale.find(filter).populate('medicine', 'purchasePrice');
-    
-    // Fetch all medicines once for efficient lookup
-    const allMedicines = await Medicine.find({});
-    const medicineMap = {};
-    allMedicines.forEach(med => {
-      const key = `${med.name.toLowerCase().trim()}`;
-      if (!medicineMap[key]) {
-        medicineMap[key] = [];
-      }
-      medicineMap[key].push(med);
-    });
-    
-    const totalSales = sales.reduce((sum, s) => sum + s.quantity, 0);
-    const totalRevenue = sales.reduce((sum, s) => sum + s.total, 0);
-    
-    // Calculate total profit
-    let totalProfit = 0;
-    const medMap = {};
-    
-    for(const sale of sales) {
-      if (!medMap[sale.medicineName]) {
-        medMap[sale.medicineName] = { 
-          name: sale.medicineName, 
-          quantity: 0, 
-          revenue: 0, 
-          profit: 0,
-          hasPurchasePrice: false
-        };
-      }
-      
-      medMap[sale.medicineName].quantity += sale.quantity;
-      medMap[sale.medicineName].revenue += sale.total;
-      
-      // Get purchase price from populated medicine or lookup by name
-      let purchasePrice = null;
-      if (sale.medicine && sale.medicine.purchasePrice !== null && sale.medicine.purchasePrice !== undefined) {
-        purchasePrice = sale.medicine.purchasePrice;
-      } else if (sale.medicineName) {
-        // Lookup from pre-fetched medicines with smart fuzzy matching
-        const key = sale.medicineName.toLowerCase().trim();
-        let matches = medicineMap[key] || [];
-        
-        // If no exact match, try fuzzy matching with multiple strategies
-        if (matches.length === 0) {
-          // Utility functions
-          const normalize = (str) => str.replace(/\s+/g, ' ').trim();
-          const compact = (str) => str.replace(/\s+/g, '');
-          const removePunctuation = (str) => str.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
-          
-          // Calculate string similarity (0-100)
-          const similarity = (str1, str2) => {
-            const longer = str1.length > str2.length ? str1 : str2;
-            const shorter = str1.length > str2.length ? str2 : str1;
-            if (longer.length === 0) return 100;
-            const editDistance = [...shorter].reduce((prev, cur, i) => {
-              return prev + (cur !== longer[i] ? 1 : 0);
-            }, Math.abs(longer.length - shorter.length));
-            return ((longer.length - editDistance) / longer.length) * 100;
-          };
-          
-          // Generate variations of the sale name
-          const baseName = key.replace(/\s+(new|old|latest|updated)\s*$/i, '').trim();
-          const normalizedKey = normalize(key);
-          const compactKey = compact(key);
-          const compactBaseName = compact(baseName);
-          const noPunctKey = removePunctuation(key);
-          const compactNoPunctKey = compact(removePunctuation(key));
-          
-          // Extract words for partial matching
-          const keyWords = key.split(/\s+/).filter(w => w.length > 2);
-          
-          let bestMatch = null;
-          let bestScore = 0;
-          
-          for (const [medKey, medList] of Object.entries(medicineMap)) {
-            const baseKey = medKey.replace(/\s+(new|old|latest|updated)\s*$/i, '').trim();
-            const normalizedMedKey = normalize(medKey);
-            const compactMedKey = compact(medKey);
-            const compactBaseKey = compact(baseKey);
-            const noPunctMedKey = removePunctuation(medKey);
-            const compactNoPunctMedKey = compact(removePunctuation(medKey));
-            const medWords = medKey.split(/\s+/).filter(w => w.length > 2);
-            
-            let score = 0;
-            
-            // Exact and near-exact matches (highest priority)
-            if (baseName === baseKey) score = 100;
-            else if (normalizedKey === normalizedMedKey) score = 95;
-            else if (compactKey === compactMedKey) score = 90;
-            else if (compactBaseName === compactBaseKey) score = 85;
-            else if (normalize(baseName) === normalize(baseKey)) score = 80;
-            else if (compactNoPunctKey === compactNoPunctMedKey) score = 75;
-            else if (noPunctKey === noPunctMedKey) score = 70;
-            
-            // String similarity for typos (e.g., Diarroban vs Diaroban)
-            if (score === 0) {
-              const sim = similarity(compactKey, compactMedKey);
-              if (sim >= 85) {
-                score = 65 + (sim - 85) * 2; // 65-95 range for high similarity
-              }
-            }
-            
-            // Partial word matching - require high ratio and multiple word matches
-            if (score === 0 && keyWords.length > 1 && medWords.length > 1) {
-              const matchedWords = keyWords.filter(word => medKey.includes(word));
-              const wordMatchRatio = matchedWords.length / keyWords.length;
-              
-              // Only accept if most words match AND we have multiple matches
-              if (wordMatchRatio >= 0.8 && matchedWords.length >= 2) {
-                score = 55 + (wordMatchRatio * 10);
-              }
-            }
-            
-            // Track best match - increased threshold to 65 to avoid weak matches
-            if (score > bestScore && score >= 65) {
-              bestScore = score;
-              bestMatch = medList;
-            }
-          }
-          
-          if (bestMatch) {
-            matches = bestMatch;
-          }
-        }
-        
-        // Try exact clinic match first
-        let currentMedicine = matches.find(m => m.clinic === sale.clinic);
-        
-        // Try clinic name that starts with the sale clinic
-        if (!currentMedicine) {
-          currentMedicine = matches.find(m => m.clinic.toLowerCase().startsWith(sale.clinic.toLowerCase()));
-        }
-        
-        // Use any match with valid purchase price
-        if (!currentMedicine) {
-          currentMedicine = matches.find(m => m.purchasePrice !== null && m.purchasePrice !== undefined);
-        }
-        
-        if (currentMedicine && currentMedicine.purchasePrice !== null && currentMedicine.purchasePrice !== undefined) {
-          purchasePrice = currentMedicine.purchasePrice;
-        }
-      }
-      
-      // Calculate profit using purchase price
-      if (purchasePrice !== null && purchasePrice !== undefined) {
-        const saleProfit = (sale.rate - purchasePrice) * sale.quantity;
-        totalProfit += saleProfit;
-        medMap[sale.medicineName].profit += saleProfit;
-        medMap[sale.medicineName].hasPurchasePrice = true;
-      }
-    }
-    
-    // Convert profit to null for medicines without any purchase price data
-    Object.values(medMap).forEach(med => {
-      if (!med.hasPurchasePrice) {
-        med.profit = null;
-      }
-      delete med.hasPurchasePrice;
+    const returns = await SaleReturn.find({
+      ...(clinic ? { clinic } : {}),
+      ...(filter.soldAt ? { returnedAt: filter.soldAt } : {})
     });
     
-    const topMedicines = Object.values(medMap).sort((a, b) => b.quantity - a.quantity).slice(0, 10);
-    res.json({ totalSales, totalRevenue, totalProfit, topMedicines });
+    res.json(await salesSummary(sales, returns));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get sales for a clinic by date (YYYY-MM-DD)
-router.get('/by-date', async (req, res) => {
+// Get sales for a clinic by date (YYYY-MM-DD); ?groupBy=invoice groups them by checkout
+router.get('/by-date', requirePermission('sales:read'), async (req, res) => {
   try {
-    const { clinic, date, timezone = 'Asia/Karachi' } = req.query;
+    const { date } = req.query;
+    const clinic = requestedClinic(req, req.query.clinic);
     if (!clinic || !date) return res.status(400).json({ message: 'Clinic and date are required' });
-    
-    console.log(`Fetching sales for clinic: ${clinic}, date: ${date}, timezone: ${timezone}`);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    // Days are counted in the clinic's own timezone unless the caller asks otherwise
+    const clinicDoc = await Clinic.findById(clinic);
+    const timezone = req.query.timezone || clinicDoc?.timezone || 'Asia/Karachi';
     
     // Use MongoDB's $expr and date operators to compare dates in the database
     // This matches based on the local date in the specified timezone
     const sales = await Sale.aggregate([
       {
         $match: {
-          clinic: clinic
+          clinic: new mongoose.Types.ObjectId(clinic)
         }
       },
       {
@@ -323,9 +371,7 @@ router.get('/by-date', async (req, res) => {
       }
     ]);
     
-    console.log(`Found ${sales.length} sales for date ${date}`);
-    
-    res.json(sales);
+    res.json(req.query.groupBy === 'invoice' ? groupByInvoice(sales) : sales);
   } catch (err) {
     console.error("Error in /by-date:", err);
     res.status(500).json({ message: err.message });
@@ -333,10 +379,12 @@ router.get('/by-date', async (req, res) => {
 });
 
 // Get sales for a clinic by month (YYYY-MM)
-router.get('/by-month', async (req, res) => {
+router.get('/by-month', requirePermission('reports:read'), async (req, res) => {
   try {
-    const { clinic, month } = req.query; // month: '2025-06'
+    const { month } = req.query; // month: '2025-06'
+    const clinic = requestedClinic(req, req.query.clinic);
     if (!clinic || !month) return res.status(400).json({ message: 'Clinic and month are required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
     const [year, mon] = month.split('-');
     const start = new Date(year, mon - 1, 1);
     const end = new Date(year, mon, 0, 23, 59, 59, 999);
@@ -358,10 +406,12 @@ router.get('/by-month', async (req, res) => {
 });
 
 // Get monthly analytics for a clinic
-router.get('/monthly-analytics', async (req, res) => {
+router.get('/monthly-analytics', requirePermission('reports:read'), async (req, res) => {
   try {
-    const { clinic, month } = req.query;
+    const { month } = req.query;
+    const clinic = requestedClinic(req, req.query.clinic);
     if (!clinic || !month) return res.status(400).json({ message: 'Clinic and month are required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
     const [year, mon] = month.split('-');
     const start = new Date(year, mon - 1, 1);
     const end = new Date(year, mon, 0, 23, 59, 59, 999);
@@ -369,225 +419,128 @@ router.get('/monthly-analytics', async (req, res) => {
       clinic,
       soldAt: { $gte: start, $lte: end }
     }).populate('medicine', 'purchasePrice');
+    const returns = await SaleReturn.find({ clinic, returnedAt: { $gte: start, $lte: end } });
     
-    // Fetch all medicines once for efficient lookup
-    const allMedicines = await Medicine.find({});
-    const medicineMap = {};
-    allMedicines.forEach(med => {
-      const key = `${med.name.toLowerCase().trim()}`;
-      if (!medicineMap[key]) {
-        medicineMap[key] = [];
-      }
-      medicineMap[key].push(med);
-    });
-    
-    const totalSales = sales.reduce((sum, s) => sum + s.quantity, 0);
-    const totalRevenue = sales.reduce((sum, s) => sum + s.total, 0);
-    
-    // Calculate total profit
-    let totalProfit = 0;
-    const medMap = {};
-    
-    for(const sale of sales) {
-      if (!medMap[sale.medicineName]) {
-        medMap[sale.medicineName] = { 
-          name: sale.medicineName, 
-          quantity: 0, 
-          revenue: 0,
-          profit: 0,
-          hasPurchasePrice: false
-        };
-      }
-      
-      medMap[sale.medicineName].quantity += sale.quantity;
-      medMap[sale.medicineName].revenue += sale.total;
-      
-      // Get purchase price from populated medicine or lookup by name
-      let purchasePrice = null;
-      if (sale.medicine && sale.medicine.purchasePrice !== null && sale.medicine.purchasePrice !== undefined) {
-        purchasePrice = sale.medicine.purchasePrice;
-      } else if (sale.medicineName) {
-        // Lookup from pre-fetched medicines with smart fuzzy matching
-        const key = sale.medicineName.toLowerCase().trim();
-        let matches = medicineMap[key] || [];
-        
-        // If no exact match, try fuzzy matching with multiple strategies
-        if (matches.length === 0) {
-          // Utility functions
-          const normalize = (str) => str.replace(/\s+/g, ' ').trim();
-          const compact = (str) => str.replace(/\s+/g, '');
-          const removePunctuation = (str) => str.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
-          
-          // Calculate string similarity (0-100)
-          const similarity = (str1, str2) => {
-            const longer = str1.length > str2.length ? str1 : str2;
-            const shorter = str1.length > str2.length ? str2 : str1;
-            if (longer.length === 0) return 100;
-            const editDistance = [...shorter].reduce((prev, cur, i) => {
-              return prev + (cur !== longer[i] ? 1 : 0);
-            }, Math.abs(longer.length - shorter.length));
-            return ((longer.length - editDistance) / longer.length) * 100;
-          };
-          
-          // Generate variations of the sale name
-          const baseName = key.replace(/\s+(new|old|latest|updated)\s*$/i, '').trim();
-          const normalizedKey = normalize(key);
-          const compactKey = compact(key);
-          const compactBaseName = compact(baseName);
-          const noPunctKey = removePunctuation(key);
-          const compactNoPunctKey = compact(removePunctuation(key));
-          
-          // Extract words for partial matching
-          const keyWords = key.split(/\s+/).filter(w => w.length > 2);
-          
-          let bestMatch = null;
-          let bestScore = 0;
-          
-          for (const [medKey, medList] of Object.entries(medicineMap)) {
-            const baseKey = medKey.replace(/\s+(new|old|latest|updated)\s*$/i, '').trim();
-            const normalizedMedKey = normalize(medKey);
-            const compactMedKey = compact(medKey);
-            const compactBaseKey = compact(baseKey);
-            const noPunctMedKey = removePunctuation(medKey);
-            const compactNoPunctMedKey = compact(removePunctuation(medKey));
-            const medWords = medKey.split(/\s+/).filter(w => w.length > 2);
-            
-            let score = 0;
-            
-            // Exact and near-exact matches (highest priority)
-            if (baseName === baseKey) score = 100;
-            else if (normalizedKey === normalizedMedKey) score = 95;
-            else if (compactKey === compactMedKey) score = 90;
-            else if (compactBaseName === compactBaseKey) score = 85;
-            else if (normalize(baseName) === normalize(baseKey)) score = 80;
-            else if (compactNoPunctKey === compactNoPunctMedKey) score = 75;
-            else if (noPunctKey === noPunctMedKey) score = 70;
-            
-            // String similarity for typos (e.g., Diarroban vs Diaroban)
-            if (score === 0) {
-              const sim = similarity(compactKey, compactMedKey);
-              if (sim >= 85) {
-                score = 65 + (sim - 85) * 2; // 65-95 range for high similarity
-              }
-            }
-            
-            // Partial word matching - require high ratio and multiple word matches
-            if (score === 0 && keyWords.length > 1 && medWords.length > 1) {
-              const matchedWords = keyWords.filter(word => medKey.includes(word));
-              const wordMatchRatio = matchedWords.length / keyWords.length;
-              
-              // Only accept if most words match AND we have multiple matches
-              if (wordMatchRatio >= 0.8 && matchedWords.length >= 2) {
-                score = 55 + (wordMatchRatio * 10);
-              }
-            }
-            
-            // Track best match - increased threshold to 65 to avoid weak matches
-            if (score > bestScore && score >= 65) {
-              bestScore = score;
-              bestMatch = medList;
-            }
-          }
-          
-          if (bestMatch) {
-            matches = bestMatch;
-          }
-        }
-        
-        // Try exact clinic match first
-        let currentMedicine = matches.find(m => m.clinic === sale.clinic);
-        
-        // Try clinic name that starts with the sale clinic
-        if (!currentMedicine) {
-          currentMedicine = matches.find(m => m.clinic.toLowerCase().startsWith(sale.clinic.toLowerCase()));
-        }
-        
-        // Use any match with valid purchase price
-        if (!currentMedicine) {
-          currentMedicine = matches.find(m => m.purchasePrice !== null && m.purchasePrice !== undefined);
-        }
-        
-        if (currentMedicine && currentMedicine.purchasePrice !== null && currentMedicine.purchasePrice !== undefined) {
-          purchasePrice = currentMedicine.purchasePrice;
-        }
-      }
-      
-      // Calculate profit using purchase price
-      if (purchasePrice !== null && purchasePrice !== undefined) {
-        const saleProfit = (sale.rate - purchasePrice) * sale.quantity;
-        totalProfit += saleProfit;
-        medMap[sale.medicineName].profit += saleProfit;
-        medMap[sale.medicineName].hasPurchasePrice = true;
-      }
-    }
-    
-    // Convert profit to null for medicines without any purchase price data
-    Object.values(medMap).forEach(med => {
-      if (!med.hasPurchasePrice) {
-        med.profit = null;
-      }
-      delete med.hasPurchasePrice;
-    });
-    
-    const topMedicines = Object.values(medMap).sort((a, b) => b.quantity - a.quantity).slice(0, 10);
-    res.json({ totalSales, totalRevenue, totalProfit, topMedicines });
+    res.json(await salesSummary(sales, returns));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// Delete a sale by ID (and restore medicine quantity)
-router.delete('/:id', async (req, res) => {
-  try {
-    const sale = await Sale.findById(req.params.id);
-    if (!sale) return res.status(404).json({ message: 'Sale not found' });
-    // Restore medicine quantity
-    const medicine = await Medicine.findById(sale.medicine);
-    if (medicine) {
-      medicine.quantity += sale.quantity;
-      await medicine.save();
-    }
-    await Sale.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Sale deleted' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+// Sales are no longer deleted: a customer return puts the stock back and refunds the customer,
+// so the sale stays in the shift's takings
+router.delete('/:id', (req, res) => {
+  res.status(410).json({ message: 'Sales can no longer be deleted; record a return with POST /api/returns' });
 });
 
 // Update a sale by ID (allow changing medicine, quantity, rate, etc.)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('sales:edit'), async (req, res) => {
   try {
     const sale = await Sale.findById(req.params.id);
     if (!sale) return res.status(404).json({ message: 'Sale not found' });
+    if (!canAccessClinic(req.user, sale.clinic)) return denyClinic(res);
+    if (sale.returnedQuantity > 0) {
+      return res.status(400).json({ message: 'This sale has customer returns and cannot be edited' });
+    }
+    // A closed shift's Z-report has been counted against the till, so its sales stay as they are
+    if (sale.shift && await Shift.exists({ _id: sale.shift, status: 'closed' })) {
+      return res.status(400).json({ message: 'This sale belongs to a closed shift; record a return instead' });
+    }
+    const before = snapshot(sale);
     const { medicineId, medicineName, quantity, rate, soldAt } = req.body;
-    let medicine = await Medicine.findById(sale.medicine);
-    // Restore previous quantity
-    if (medicine) {
-      medicine.quantity += sale.quantity;
-      await medicine.save();
+    const allowExpired = expiryOverride(req, res);
+    if (allowExpired === null) return;
+    const medicineChanged = medicineId && medicineId !== String(sale.medicine);
+    let newMed = null;
+    if (medicineChanged) {
+      newMed = await Medicine.findById(medicineId);
+      if (!newMed) return res.status(404).json({ message: 'New medicine not found' });
+      if (String(newMed.clinic) !== String(sale.clinic)) {
+        return res.status(400).json({ message: 'New medicine must belong to the same clinic as the sale' });
+      }
+    }
+    const medicine = await Medicine.findById(sale.medicine);
+    // Restore previous quantity, then take the new quantity from the (possibly new) medicine.
+    // Nothing is saved until both steps succeed.
+    const returned = medicine ? returnStock(medicine, saleConsumption(sale)) : [];
+    const target = medicineChanged ? newMed : medicine;
+    const lots = target ? takeStock(target, Number(quantity), null, { allowExpired }) : [];
+    const newRate = rate === undefined ? sale.rate : Number(rate);
+    const discount = req.body.discount === undefined
+      ? (sale.discount?.type ? { type: sale.discount.type, value: sale.discount.value } : null)
+      : parseDiscount(req.body.discount);
+    // Tax stays as sold unless the medicine changes (or the sale was recorded before tax)
+    let { taxRate, pricesIncludeTax } = sale;
+    if (medicineChanged || taxRate === undefined || taxRate === null) {
+      const tax = await taxConfig(sale.clinic);
+      taxRate = target ? await taxRateFor(tax, target) : 0;
+      pricesIncludeTax = tax.pricesIncludeTax;
+    }
+    const totals = lineTotals({
+      quantity: Number(quantity),
+      rate: newRate,
+      discount,
+      extraDiscount: sale.invoiceDiscountAmount || 0,
+      taxRate,
+      pricesIncludeTax
+    });
+    // The tenders have to match the new total: an invoice is paid as a whole, so its lines keep
+    // their amount; a sale paid on its own needs new payments when its total changes
+    const totalChanged = Math.abs(totals.total - sale.total) >= 0.005;
+    if (totalChanged && sale.invoice) {
+      return res.status(400).json({ message: 'Invoice lines cannot change amount once paid; record a return instead' });
+    }
+    if (totalChanged && sale.payments?.length > 0 && req.body.payments === undefined) {
+      return res.status(400).json({ message: 'The total has changed; send payments covering the new total' });
+    }
+    const payment = !sale.invoice && req.body.payments !== undefined
+      ? parsePayments(req.body.payments, totals.total, { customerName: req.body.customerName ?? sale.customerName })
+      : null;
+    // A new medicine or net rate is checked against the price list like a new sale
+    const netRate = (totals.subtotal - totals.discountAmount) / Number(quantity);
+    const oldNetRate = ((sale.subtotal ?? sale.quantity * sale.rate) - (sale.discountAmount || 0)) / sale.quantity;
+    let pricing = null;
+    if (target && (medicineChanged || newRate !== sale.rate || Math.abs(netRate - oldNetRate) >= 0.005)) {
+      pricing = applyNetRate(await priceLine(target, newRate, { at: sale.soldAt }), netRate);
     }
     // Update sale fields
-    if (medicineId && medicineId !== String(sale.medicine)) {
-      // If medicine changed, update reference and adjust new medicine stock
-      const newMed = await Medicine.findById(medicineId);
-      if (!newMed) return res.status(404).json({ message: 'New medicine not found' });
-      newMed.quantity -= quantity;
-      await newMed.save();
+    if (medicineChanged) {
       sale.medicine = medicineId;
-      sale.medicineName = medicineName;
-    } else if (medicine) {
-      // If same medicine, just adjust stock
-      medicine.quantity -= quantity;
-      await medicine.save();
+      sale.medicineName = medicineName || newMed.name;
+      sale.product = newMed.product;
     }
+    sale.lots = lots;
+    if (allowExpired) sale.expiryOverride = true;
     sale.quantity = quantity;
-    sale.rate = rate;
-    sale.total = quantity * rate;
+    sale.rate = newRate;
+    sale.discount = discount || undefined;
+    Object.assign(sale, totals);
+    sale.pricesIncludeTax = pricesIncludeTax;
+    if (payment) Object.assign(sale, payment);
+    if (req.body.customerName !== undefined) sale.customerName = req.body.customerName;
+    if (pricing) sale.listPrice = pricing.listPrice;
     if (soldAt) sale.soldAt = soldAt;
-    await sale.save();
+    const source = { type: 'Sale', id: sale._id };
+    await inStockTransaction(async (session) => {
+      const approval = pricing ? await approvePrices(req, sale.clinic, [pricing], req.body.approvalCode, session) : null;
+      if (medicine) {
+        await medicine.save({ session });
+        // When the same medicine is sold again, the reversal comes before the new sale in its stock card
+        const taken = medicineChanged ? 0 : lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        await recordMovements({
+          medicine, type: 'sale_reversal', lots: returned, source, req, note: 'Sale edited', stockAfter: medicine.quantity + taken, session
+        });
+      }
+      if (medicineChanged) await newMed.save({ session });
+      if (target) await recordMovements({ medicine: target, type: 'sale', direction: -1, lots, source, req, session });
+      await sale.save({ session });
+      if (pricing) await recordOverrides(req, [{ pricing, sale }], approval, session);
+      if (sale.invoice) await Invoice.refreshTotals(sale.invoice, session);
+    });
+    await recordAudit({ req, action: 'update', entity: 'sale', entityId: sale._id, clinic: sale.clinic, before, after: sale });
     res.json(sale);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message, lines: err.lines });
   }
 });
 
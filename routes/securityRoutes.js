@@ -0,0 +1,63 @@
+// Security review routes: lockout events and active login throttles
+const express = require('express');
+const SecurityEvent = require('../models/SecurityEvent');
+const LoginThrottle = require('../models/LoginThrottle');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { unlockIp } = require('../services/loginGuard');
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('users:manage'));
+
+// List security events (filter by type, email, ip and date range)
+router.get('/events', async (req, res) => {
+  try {
+    const { type, email, ip, from, to, limit = 200 } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (email) filter.email = email;
+    if (ip) filter.ip = ip;
+    if (from) filter.createdAt = { ...filter.createdAt, $gte: new Date(from) };
+    if (to) filter.createdAt = { ...filter.createdAt, $lte: new Date(to + 'T23:59:59.999Z') };
+    const events = await SecurityEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 200, 1000))
+      .populate('user', 'name email')
+      .populate('actor', 'name email');
+    res.json(events);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Accounts and IPs that are currently locked out
+router.get('/lockouts', async (req, res) => {
+  try {
+    const lockouts = await LoginThrottle.find({ lockedUntil: { $gt: new Date() } }).sort({ lockedUntil: -1 });
+    res.json(lockouts.map(t => {
+      const [kind, ...rest] = t.key.split(':');
+      return {
+        kind,
+        value: rest.join(':'),
+        failures: t.failures,
+        lastFailureAt: t.lastFailureAt,
+        lockedUntil: t.lockedUntil
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Clear a lockout on an IP address
+router.post('/lockouts/unlock-ip', async (req, res) => {
+  try {
+    const { ip } = req.body;
+    if (!ip) return res.status(400).json({ message: 'IP address is required' });
+    const unlocked = await unlockIp(ip, req.user.userId);
+    res.json({ message: unlocked ? 'IP unlocked' : 'IP was not locked' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
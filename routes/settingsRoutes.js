@@ -1,40 +1,10 @@
 const express = require('express');
 const GlobalSetting = require('../models/GlobalSetting');
+const { verifyToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
-// Middleware to verify admin role
-const verifyAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access denied: Admin privileges required' });
-  }
-};
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json({ message: 'No token provided' });
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    req.user = {
-      userId: decoded.userId,
-      role: decoded.role,
-      clinic: decoded.clinic
-    };
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: 'Invalid token' });
-  }
-};
-
 // Get all global settings
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, requirePermission('settings:read'), async (req, res) => {
   try {
     const settings = await GlobalSetting.find().select('-updatedBy');
     
@@ -50,8 +20,8 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
-// Update global setting (admin only)
-router.put('/', verifyToken, verifyAdmin, async (req, res) => {
+// Update global setting
+router.put('/', verifyToken, requirePermission('settings:manage'), async (req, res) => {
   try {
     const { settings } = req.body;
     
@@ -81,7 +51,7 @@ router.put('/', verifyToken, verifyAdmin, async (req, res) => {
 });
 
 // Get specific setting
-router.get('/:key', verifyToken, async (req, res) => {
+router.get('/:key', verifyToken, requirePermission('settings:read'), async (req, res) => {
   try {
     const { key } = req.params;
     const setting = await GlobalSetting.findOne({ key }).select('-updatedBy');
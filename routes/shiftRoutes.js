@@ -0,0 +1,269 @@
+// Cashier shifts: open with a float, take payments, close with a cash count. Closing produces
+// the shift's Z-report; GET /z-report adds up a day's shifts per cashier and for the clinic.
+const express = require('express');
+const Shift = require('../models/Shift');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const SaleReturn = require('../models/SaleReturn');
+const Clinic = require('../models/Clinic');
+const Counter = require('../models/Counter');
+const { verifyToken, requirePermission, hasPermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const { PAYMENT_METHODS, tenderTotals } = require('../services/payments');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const isOwnShift = (user, shift) => String(shift.cashier) === String(user.userId);
+
+const loadShift = async (req, res) => {
+  const shift = await Shift.findById(req.params.id);
+  if (!shift) {
+    res.status(404).json({ message: 'Shift not found' });
+    return null;
+  }
+  if (!canAccessClinic(req.user, shift.clinic)) {
+    denyClinic(res);
+    return null;
+  }
+  // Cashiers only see their own shifts
+  if (!isOwnShift(req.user, shift) && !hasPermission(req.user, 'shifts:manage')) {
+    res.status(403).json({ message: 'This is another cashier\'s shift' });
+    return null;
+  }
+  return shift;
+};
+
+// Takings of a shift from its sales, invoices and refunds (an X-report while the shift is open)
+const shiftReport = async (shift) => {
+  // Sales on an invoice are paid on the invoice
+  const [sales, invoices, returns] = await Promise.all([
+    Sale.find({ shift: shift._id, invoice: null }),
+    Invoice.find({ shift: shift._id }),
+    SaleReturn.find({ shift: shift._id })
+  ]);
+  const documents = [...sales, ...invoices];
+  const payments = tenderTotals(documents);
+  const refundsByMethod = Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0]));
+  returns.forEach(r => { refundsByMethod[r.refundMethod || 'cash'] += r.refundTotal; });
+  const sum = (field) => round(documents.reduce((total, doc) => total + (doc[field] || 0), 0));
+  const total = sum('total');
+  const refunds = round(returns.reduce((total, r) => total + r.refundTotal, 0));
+  const expectedCash = round(shift.openingFloat + payments.cash - refundsByMethod.cash);
+  const countedCash = shift.countedCash ?? null;
+  return {
+    shift: shift._id,
+    clinic: shift.clinic,
+    cashier: shift.cashier,
+    cashierName: shift.cashierName,
+    status: shift.status,
+    openedAt: shift.openedAt,
+    closedAt: shift.closedAt || null,
+    transactions: documents.length,
+    itemsSold: sales.reduce((total, s) => total + s.quantity, 0) + invoices.reduce((total, i) => total + i.itemCount, 0),
+    // Sales from before discounts were recorded have no subtotal
+    subtotal: round(sales.reduce((total, s) => total + (s.subtotal ?? s.quantity * s.rate), 0) +
+      invoices.reduce((total, i) => total + (i.subtotal ?? i.total), 0)),
+    discounts: sum('discountAmount'),
+    tax: sum('taxAmount'),
+    total,
+    payments,
+    changeGiven: sum('changeGiven'),
+    refunds: {
+      count: returns.length,
+      total: refunds,
+      byMethod: refundsByMethod
+    },
+    netTakings: round(total - refunds),
+    openingFloat: shift.openingFloat,
+    expectedCash,
+    countedCash,
+    variance: countedCash === null ? null : round(countedCash - expectedCash)
+  };
+};
+
+// Add up shift reports (numbers only)
+const REPORT_TOTALS = ['transactions', 'itemsSold', 'subtotal', 'discounts', 'tax', 'total', 'changeGiven', 'netTakings',
+  'openingFloat', 'expectedCash', 'countedCash', 'variance'];
+const sumReports = (reports) => {
+  const totals = { shifts: reports.length, payments: {}, refunds: { count: 0, total: 0, byMethod: {} } };
+  REPORT_TOTALS.forEach(field => {
+    totals[field] = round(reports.reduce((total, report) => total + (report[field] || 0), 0));
+  });
+  PAYMENT_METHODS.forEach(method => {
+    totals.payments[method] = round(reports.reduce((total, report) => total + (report.payments[method] || 0), 0));
+    totals.refunds.byMethod[method] = round(reports.reduce((total, report) => total + (report.refunds.byMethod[method] || 0), 0));
+  });
+  totals.refunds.count = reports.reduce((total, report) => total + report.refunds.count, 0);
+  totals.refunds.total = round(reports.reduce((total, report) => total + report.refunds.total, 0));
+  return totals;
+};
+
+// List shifts (?clinic=&status=&cashier=); cashiers only see their own
+router.get('/', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
+    if (req.query.status) filter.status = req.query.status;
+    if (!hasPermission(req.user, 'shifts:manage')) filter.cashier = req.user.userId;
+    else if (req.query.cashier) filter.cashier = req.query.cashier;
+    res.json(await Shift.find(filter).select('-zReport').sort({ openedAt: -1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The user's open shift, or null
+router.get('/current', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    res.json(await Shift.findOne({ cashier: req.user.userId, status: 'open' }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Z-reports of a clinic's day (?clinic=&date=YYYY-MM-DD, in the clinic's timezone): one per cashier
+// and the clinic total. Shifts still open are included with their takings so far.
+router.get('/z-report', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { date } = req.query;
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic || !date) return res.status(400).json({ message: 'Clinic and date are required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const clinicDoc = await Clinic.findById(clinic);
+    const timezone = clinicDoc?.timezone || 'Asia/Karachi';
+    // Wide window around the date, then keep the shifts opened on that local date
+    const day = new Date(`${date}T00:00:00Z`);
+    if (isNaN(day.getTime())) return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    const candidates = await Shift.find({
+      clinic,
+      openedAt: { $gte: new Date(day.getTime() - DAY), $lt: new Date(day.getTime() + 2 * DAY) }
+    }).sort({ openedAt: 1 });
+    const shifts = candidates.filter(shift => shift.openedAt.toLocaleDateString('en-CA', { timeZone: timezone }) === date);
+    const reports = [];
+    for (const shift of shifts) {
+      reports.push(shift.status === 'closed' && shift.zReport ? shift.zReport : await shiftReport(shift));
+    }
+    const byCashier = {};
+    reports.forEach(report => {
+      const key = String(report.cashier);
+      if (!byCashier[key]) byCashier[key] = { cashier: report.cashier, cashierName: report.cashierName, reports: [] };
+      byCashier[key].reports.push(report);
+    });
+    res.json({
+      clinic,
+      date,
+      timezone,
+      cashiers: Object.values(byCashier).map(entry => ({
+        cashier: entry.cashier,
+        cashierName: entry.cashierName,
+        ...sumReports(entry.reports),
+        shiftReports: entry.reports
+      })),
+      totals: sumReports(reports)
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+    res.json(shift);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Takings so far (X-report) for an open shift, the Z-report for a closed one
+router.get('/:id/report', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+    res.json(shift.status === 'closed' && shift.zReport ? shift.zReport : await shiftReport(shift));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Open a shift. Body: { clinic, openingFloat }
+router.post('/open', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    const openingFloat = req.body.openingFloat === undefined ? 0 : Number(req.body.openingFloat);
+    if (!(openingFloat >= 0)) return res.status(400).json({ message: 'Opening float cannot be negative' });
+    if (await Shift.exists({ cashier: req.user.userId, status: 'open' })) {
+      return res.status(400).json({ message: 'You already have an open shift' });
+    }
+    const shift = await Shift.create({
+      clinic,
+      cashier: req.user.userId,
+      cashierName: req.user.name,
+      openingFloat,
+      notes: req.body.notes
+    });
+    await recordAudit({ req, action: 'open', entity: 'shift', entityId: shift._id, clinic, after: shift });
+    res.status(201).json(shift);
+  } catch (err) {
+    // The unique index on open shifts catches two opens at the same time
+    if (err.code === 11000) return res.status(400).json({ message: 'You already have an open shift' });
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Close a shift with the counted cash and produce its Z-report. Body: { countedCash, notes }
+router.post('/:id/close', requirePermission('shifts:operate'), async (req, res) => {
+  try {
+    const shift = await loadShift(req, res);
+    if (!shift) return;
+    if (shift.status !== 'open') return res.status(400).json({ message: 'Shift is already closed' });
+    const countedCash = Number(req.body.countedCash);
+    if (req.body.countedCash === undefined || !(countedCash >= 0)) {
+      return res.status(400).json({ message: 'Counted cash is required' });
+    }
+    // Claim the shift first so sales recorded from now on no longer land in it
+    const closing = await Shift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      {
+        status: 'closed',
+        closedAt: new Date(),
+        closedBy: req.user.userId,
+        closedByName: req.user.name,
+        countedCash,
+        ...(req.body.notes !== undefined ? { notes: req.body.notes } : {})
+      },
+      { new: true }
+    );
+    if (!closing) return res.status(400).json({ message: 'Shift is already closed' });
+    const sequence = await Counter.next(`zreport:${closing.clinic}`);
+    closing.zReportNumber = `Z-${String(sequence).padStart(6, '0')}`;
+    const report = await shiftReport(closing);
+    closing.zReport = { zReportNumber: closing.zReportNumber, ...report };
+    closing.expectedCash = report.expectedCash;
+    closing.variance = report.variance;
+    await closing.save();
+    await recordAudit({
+      req,
+      action: 'close',
+      entity: 'shift',
+      entityId: closing._id,
+      clinic: closing.clinic,
+      after: { zReportNumber: closing.zReportNumber, expectedCash: report.expectedCash, countedCash, variance: report.variance }
+    });
+    res.json(closing);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+// Physical stock-take sessions: snapshot system quantities per lot, collect counts
+// (several people, several passes), report variances and post adjustments once approved.
+const express = require('express');
+const StockTake = require('../models/StockTake');
+const Medicine = require('../models/Medicine');
+const Clinic = require('../models/Clinic');
+const { verifyToken, requirePermission, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { ensureLots, addLot, lotRecord } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Error with an HTTP status, thrown inside transactions
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+// Approvals that lose a write conflict (a sale of a counted medicine at the same moment)
+// are retried this many times
+const APPROVE_ATTEMPTS = 3;
+
+const loadStockTake = async (req, res) => {
+  const stockTake = await StockTake.findById(req.params.id);
+  if (!stockTake) {
+    res.status(404).json({ message: 'Stock take not found' });
+    return null;
+  }
+  if (!canAccessClinic(req.user, stockTake.clinic)) {
+    denyClinic(res);
+    return null;
+  }
+  return stockTake;
+};
+
+// Variance per line in units and at cost; uncounted lines are listed but not adjusted
+const varianceReport = (stockTake) => {
+  const lines = stockTake.lines.map(line => {
+    const counted = line.countedQuantity;
+    const variance = counted === null ? null : counted - line.systemQuantity;
+    return {
+      line: line._id,
+      medicine: line.medicine,
+      medicineName: line.medicineName,
+      lot: line.lot,
+      batchNumber: line.batchNumber,
+      expiryDate: line.expiryDate,
+      unitCost: line.unitCost,
+      systemQuantity: line.systemQuantity,
+      countedQuantity: counted,
+      variance,
+      varianceValue: variance === null ? null : variance * line.unitCost
+    };
+  });
+  const counted = lines.filter(line => line.variance !== null);
+  return {
+    stockTake: stockTake._id,
+    status: stockTake.status,
+    lines,
+    totals: {
+      lines: lines.length,
+      counted: counted.length,
+      uncounted: lines.length - counted.length,
+      shortageUnits: counted.filter(l => l.variance < 0).reduce((sum, l) => sum - l.variance, 0),
+      surplusUnits: counted.filter(l => l.variance > 0).reduce((sum, l) => sum + l.variance, 0),
+      netUnits: counted.reduce((sum, l) => sum + l.variance, 0),
+      shortageValue: counted.filter(l => l.variance < 0).reduce((sum, l) => sum - l.varianceValue, 0),
+      surplusValue: counted.filter(l => l.variance > 0).reduce((sum, l) => sum + l.varianceValue, 0),
+      netValue: counted.reduce((sum, l) => sum + l.varianceValue, 0)
+    }
+  };
+};
+
+// List stock takes (?clinic=&status=), without their lines
+router.get('/', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = clinic ? { clinic } : {};
+    if (req.query.status) filter.status = req.query.status;
+    const stockTakes = await StockTake.find(filter).select('-lines').sort({ createdAt: -1 }).populate('clinic', 'name');
+    res.json(stockTakes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a stock take with its lines
+router.get('/:id', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    res.json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Variance report
+router.get('/:id/variance', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    res.json(varianceReport(stockTake));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Start a stock take: one line per lot of every medicine in the clinic
+router.post('/', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.body.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(clinic))) return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    if (await StockTake.exists({ clinic, status: { $in: ['open', 'submitted'] } })) {
+      return res.status(400).json({ message: 'This clinic already has a stock take in progress' });
+    }
+    const medicines = await Medicine.find({ clinic }).sort({ name: 1 });
+    const lines = [];
+    for (const medicine of medicines) {
+      // Stock recorded before lot tracking needs a saved lot to count against
+      if (medicine.lots.length === 0 && medicine.quantity > 0) {
+        ensureLots(medicine);
+        await medicine.save();
+      }
+      const lots = medicine.lots.filter(lot => lot.quantity > 0);
+      if (lots.length === 0) {
+        lines.push({ medicine: medicine._id, medicineName: medicine.name, unitCost: medicine.purchasePrice, systemQuantity: 0 });
+      }
+      lots.forEach(lot => lines.push({
+        medicine: medicine._id,
+        medicineName: medicine.name,
+        lot: lot._id,
+        batchNumber: lot.batchNumber,
+        expiryDate: lot.expiryDate,
+        unitCost: lot.purchasePrice ?? medicine.purchasePrice,
+        systemQuantity: lot.quantity
+      }));
+    }
+    const stockTake = await StockTake.create({
+      clinic,
+      name: req.body.name,
+      notes: req.body.notes,
+      lines,
+      startedBy: req.user.userId,
+      startedByName: req.user.name
+    });
+    await recordAudit({
+      req,
+      action: 'create',
+      entity: 'stock_take',
+      entityId: stockTake._id,
+      clinic,
+      after: { _id: stockTake._id, name: stockTake.name, lines: lines.length }
+    });
+    res.status(201).json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Record counts. Body: { pass, counts: [{ lineId, quantity }] }
+router.post('/:id/counts', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const counts = Array.isArray(req.body.counts) ? req.body.counts : [];
+    if (counts.length === 0) return res.status(400).json({ message: 'No counts given' });
+    const pass = req.body.pass === undefined ? 1 : Number(req.body.pass);
+    if (!Number.isInteger(pass) || pass < 1) return res.status(400).json({ message: 'Pass must be a whole number from 1' });
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    if (stockTake.status !== 'open') return res.status(400).json({ message: 'Counts can only be added to an open stock take' });
+    for (const count of counts) {
+      const line = stockTake.lines.id(count.lineId);
+      if (!line) return res.status(400).json({ message: `Line ${count.lineId} not found` });
+      const quantity = Number(count.quantity);
+      if (!(quantity >= 0)) return res.status(400).json({ message: 'Counted quantities cannot be negative' });
+      line.counts.push({ quantity, pass, countedBy: req.user.userId, countedByName: req.user.name });
+    }
+    await stockTake.save();
+    res.json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Hand the counts in for approval
+router.post('/:id/submit', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    if (stockTake.status !== 'open') return res.status(400).json({ message: 'Only open stock takes can be submitted' });
+    if (!stockTake.lines.some(line => line.counts.length > 0)) {
+      return res.status(400).json({ message: 'Nothing has been counted yet' });
+    }
+    stockTake.status = 'submitted';
+    stockTake.submittedBy = req.user.userId;
+    stockTake.submittedAt = new Date();
+    stockTake.rejectionReason = undefined;
+    await stockTake.save();
+    await recordAudit({
+      req, action: 'submit', entity: 'stock_take', entityId: stockTake._id, clinic: stockTake.clinic, after: varianceReport(stockTake).totals
+    });
+    res.json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Send a submitted stock take back for recounting
+router.post('/:id/reject', requirePermission('stocktake:approve'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    if (stockTake.status !== 'submitted') return res.status(400).json({ message: 'Only submitted stock takes can be rejected' });
+    stockTake.status = 'open';
+    stockTake.rejectionReason = req.body.reason;
+    await stockTake.save();
+    await recordAudit({
+      req, action: 'reject', entity: 'stock_take', entityId: stockTake._id, clinic: stockTake.clinic, after: { reason: req.body.reason }
+    });
+    res.json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Cancel a stock take that has not been posted
+router.post('/:id/cancel', requirePermission('stocktake:count'), async (req, res) => {
+  try {
+    const stockTake = await loadStockTake(req, res);
+    if (!stockTake) return;
+    if (!['open', 'submitted'].includes(stockTake.status)) {
+      return res.status(400).json({ message: 'Only open or submitted stock takes can be cancelled' });
+    }
+    stockTake.status = 'cancelled';
+    stockTake.cancelledAt = new Date();
+    await stockTake.save();
+    await recordAudit({ req, action: 'cancel', entity: 'stock_take', entityId: stockTake._id, clinic: stockTake.clinic });
+    res.json(stockTake);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Apply a submitted stock take's variances inside `session`. Returns { stockTake, adjusted }.
+const postStockTake = async (req, session) => {
+  const stockTake = await StockTake.findById(req.params.id).session(session);
+  if (!stockTake) throw requestError(404, 'Stock take not found');
+  if (!canAccessClinic(req.user, stockTake.clinic)) throw requestError(403, 'Access denied for this clinic');
+  if (stockTake.status !== 'submitted') throw requestError(400, 'Only submitted stock takes can be approved');
+  // Approval is the check on the count, so it has to come from someone other than the submitter
+  if (String(stockTake.submittedBy) === String(req.user.userId)) {
+    throw requestError(403, 'You cannot approve a stock take you submitted');
+  }
+
+  const byMedicine = {};
+  stockTake.lines.forEach(line => {
+    const counted = line.countedQuantity;
+    if (counted === null || counted === line.systemQuantity) return;
+    const key = String(line.medicine);
+    if (!byMedicine[key]) byMedicine[key] = [];
+    byMedicine[key].push({ line, variance: counted - line.systemQuantity });
+  });
+
+  const adjusted = [];
+  for (const [medicineId, changes] of Object.entries(byMedicine)) {
+    const medicine = await Medicine.findById(medicineId).session(session);
+    if (!medicine) continue; // Deleted since the count started
+    const applied = [];
+    changes.forEach(({ line, variance }) => {
+      let lot = line.lot && medicine.lots.id(line.lot);
+      if (!lot) {
+        if (variance <= 0) return;
+        lot = addLot(medicine, {
+          batchNumber: line.batchNumber,
+          expiryDate: line.expiryDate,
+          quantity: 0,
+          purchasePrice: line.unitCost
+        });
+      }
+      // Never take a lot below zero
+      const change = Math.max(variance, -lot.quantity);
+      lot.quantity += change;
+      if (change !== 0) applied.push(lotRecord(lot, change));
+    });
+    await medicine.save({ session });
+    await recordMovements({
+      medicine,
+      type: 'adjustment',
+      lots: applied,
+      source: { type: 'StockTake', id: stockTake._id },
+      req,
+      note: 'Stock take',
+      session
+    });
+    adjusted.push(medicine._id);
+  }
+
+  stockTake.status = 'posted';
+  stockTake.approvedBy = req.user.userId;
+  stockTake.approvedByName = req.user.name;
+  stockTake.postedAt = new Date();
+  await stockTake.save({ session });
+  return { stockTake, adjusted };
+};
+
+// Approve and post: each counted line's variance is applied to the lot's current quantity,
+// so sales made while counting are kept
+router.post('/:id/approve', requirePermission('stocktake:approve'), async (req, res) => {
+  for (let attempt = 1; ; attempt++) {
+    const session = await Medicine.startSession();
+    session.startTransaction();
+    try {
+      const { stockTake, adjusted } = await postStockTake(req, session);
+      await session.commitTransaction();
+      session.endSession();
+      const report = varianceReport(stockTake);
+      await recordAudit({
+        req,
+        action: 'post',
+        entity: 'stock_take',
+        entityId: stockTake._id,
+        clinic: stockTake.clinic,
+        after: { totals: report.totals, medicinesAdjusted: adjusted }
+      });
+      return res.json(report);
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      if (attempt < APPROVE_ATTEMPTS && err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) continue;
+      return res.status(err.status || 500).json({ message: err.message });
+    }
+  }
+});
+
+module.exports = router;
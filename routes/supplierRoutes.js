@@ -0,0 +1,94 @@
+// Supplier management routes
+const express = require('express');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { verifyToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+const router = express.Router();
+
+router.use(verifyToken);
+
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'phone', 'email', 'address', 'notes', 'active'];
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List suppliers. Inactive suppliers are only listed for managers (?all=true).
+router.get('/', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && hasPermission(req.user, 'purchasing:manage');
+    const filter = showAll ? {} : { active: true };
+    if (req.query.search) filter.name = { $regex: escapeRegex(String(req.query.search)), $options: 'i' };
+    res.json(await Supplier.find(filter).sort({ name: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a single supplier
+router.get('/:id', requirePermission('purchasing:read'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+    res.json(supplier);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Create a supplier
+router.post('/', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    if (!req.body.name) return res.status(400).json({ message: 'Supplier name is required' });
+    if (await Supplier.exists({ name: req.body.name.trim() })) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    const supplier = new Supplier();
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+    await recordAudit({ req, action: 'create', entity: 'supplier', entityId: supplier._id, after: supplier });
+    res.status(201).json(supplier);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a supplier (set active: false to stop ordering from it)
+router.put('/:id', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+    const before = supplier.toObject();
+    if (req.body.name && req.body.name.trim() !== supplier.name &&
+        await Supplier.exists({ name: req.body.name.trim() })) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+    await recordAudit({ req, action: 'update', entity: 'supplier', entityId: supplier._id, before, after: supplier });
+    res.json(supplier);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Delete a supplier with no purchase orders; suppliers with orders should be deactivated instead
+router.delete('/:id', requirePermission('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) return res.status(404).json({ message: 'Supplier not found' });
+    if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+      return res.status(400).json({ message: 'Supplier has purchase orders. Deactivate it instead.' });
+    }
+    await Supplier.findByIdAndDelete(supplier._id);
+    await recordAudit({ req, action: 'delete', entity: 'supplier', entityId: supplier._id, before: supplier });
+    res.json({ message: 'Supplier deleted' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
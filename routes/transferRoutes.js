@@ -0,0 +1,551 @@
+// Inter-clinic transfers: requested -> approved -> dispatched -> received.
+// Stock leaves the sending clinic on dispatch and reaches the receiving clinic when it confirms
+// receipt; in between it is in transit. Mounted at /api/transfers and at /api/medicines/transfer,
+// the path used before the workflow existed. Breaking change for that path: POST used to move the
+// stock at once and now only files a request, so it answers 202 there instead of 201.
+const express = require('express');
+const Medicine = require('../models/Medicine');
+const Clinic = require('../models/Clinic');
+const TransferHistory = require('../models/TransferHistory');
+const User = require('../models/User');
+const { verifyToken, requirePermission, hasPermission, getRolePermissions, requestedClinic, canAccessClinic, denyClinic } = require('../middleware/auth');
+const { recordAudit, snapshot } = require('../services/audit');
+const { isExpired, stockOnHand, addLot, takeStock, returnStock, lotRecord, fefoOrder } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Error with an HTTP status, thrown inside transactions
+const requestError = (status, message) => Object.assign(new Error(message), { status });
+
+// A transfer is visible to both the sending and the receiving clinic
+const canAccessTransfer = (user, record) =>
+  canAccessClinic(user, record.fromClinic) || canAccessClinic(user, record.toClinic);
+
+// Whether an active user other than `userId` may approve transfers sent from `clinic`
+const hasOtherApprover = async (clinic, userId) => {
+  const users = await User.find({ _id: { $ne: userId }, active: true }).select('role clinic');
+  for (const user of users) {
+    const approver = { ...user.toObject(), permissions: await getRolePermissions(user.role) };
+    if (hasPermission(approver, 'transfers:approve') && canAccessClinic(approver, clinic)) return true;
+  }
+  return false;
+};
+
+const loadTransfer = async (req, res) => {
+  const transfer = await TransferHistory.findById(req.params.id);
+  if (!transfer) {
+    res.status(404).json({ message: 'Transfer not found' });
+    return null;
+  }
+  if (!canAccessTransfer(req.user, transfer)) {
+    denyClinic(res);
+    return null;
+  }
+  return transfer;
+};
+
+// Same as loadTransfer, inside a transaction
+const lockTransfer = async (req, session, clinicField) => {
+  const transfer = await TransferHistory.findById(req.params.id).session(session);
+  if (!transfer) throw requestError(404, 'Transfer not found');
+  if (!canAccessClinic(req.user, transfer[clinicField])) throw requestError(403, 'Access denied for this clinic');
+  return transfer;
+};
+
+// Dispatched lots less what went missing, each with the quantity that arrived
+const arrivedLots = (transfer) => {
+  const missing = {};
+  (transfer.discrepancy?.lots || []).forEach(lot => {
+    const key = String(lot.lot);
+    missing[key] = (missing[key] || 0) + lot.quantity;
+  });
+  return transfer.lots.map(lot => {
+    const key = String(lot.lot);
+    const short = Math.min(missing[key] || 0, lot.quantity);
+    if (short) missing[key] -= short;
+    return { ...lotRecord(lot, lot.quantity - short), lot: lot.lot };
+  }).filter(lot => lot.quantity > 0);
+};
+
+// Split the dispatched lots into what arrived and what is missing. `received` is either a total
+// (the missing stock is counted against the latest-expiring lots) or [{ lot, quantity }] per source lot.
+const splitReceipt = (transfer, received) => {
+  const dispatched = transfer.lots.map(lot => ({ ...lotRecord(lot, lot.quantity), lot: lot.lot }));
+  let arrived;
+  if (Array.isArray(received)) {
+    const counts = {};
+    received.forEach(entry => {
+      const quantity = Number(entry.quantity);
+      if (!(quantity >= 0)) throw requestError(400, 'Received quantities cannot be negative');
+      counts[String(entry.lot)] = (counts[String(entry.lot)] || 0) + quantity;
+    });
+    arrived = dispatched.map(lot => {
+      const quantity = Math.min(counts[String(lot.lot)] || 0, lot.quantity);
+      counts[String(lot.lot)] = (counts[String(lot.lot)] || 0) - quantity;
+      return { ...lot, quantity };
+    });
+    if (Object.values(counts).some(left => left > 0)) {
+      throw requestError(400, 'More was received than was dispatched in a lot');
+    }
+  } else {
+    let remaining = Number(received);
+    if (!(remaining >= 0)) throw requestError(400, 'Received quantity cannot be negative');
+    if (remaining > transfer.quantity) throw requestError(400, 'More was received than was dispatched');
+    const arrivedFor = new Map(dispatched.map(lot => [lot, { ...lot, quantity: 0 }]));
+    fefoOrder(dispatched).forEach(lot => {
+      const take = Math.min(lot.quantity, remaining);
+      arrivedFor.get(lot).quantity = take;
+      remaining -= take;
+    });
+    arrived = dispatched.map(lot => arrivedFor.get(lot));
+  }
+  const missing = dispatched
+    .map((lot, i) => ({ ...lot, quantity: lot.quantity - arrived[i].quantity }))
+    .filter(lot => lot.quantity > 0);
+  return { arrived: arrived.filter(lot => lot.quantity > 0), missing };
+};
+
+// Stock row in the receiving clinic: by catalog product, else by name
+const findDestination = async (transfer, source, session) => {
+  const product = transfer.product || source?.product;
+  let medicine = product
+    ? await Medicine.findOne({ product, clinic: transfer.toClinic }).session(session)
+    : null;
+  if (!medicine) {
+    medicine = await Medicine.findOne({
+      name: transfer.toMedicineName || transfer.medicineName,
+      clinic: transfer.toClinic
+    }).session(session);
+  }
+  return medicine;
+};
+
+// Legacy transfer history of a clinic (sent or received), newest first
+router.get('/history', requirePermission('transfers:read'), async (req, res) => {
+  const clinic = requestedClinic(req, req.query.clinic);
+  if (!clinic) return res.json([]);
+  if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+  try {
+    const history = await TransferHistory.find({
+      $or: [
+        { fromClinic: clinic },
+        { toClinic: clinic }
+      ]
+    }).sort({ date: -1 }).populate('fromClinic toClinic', 'name');
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to fetch transfer history' });
+  }
+});
+
+// Free edits and deletes of transfer history are no longer allowed: stock has to move with them
+router.put('/history/:id', (req, res) => {
+  res.status(410).json({ message: 'Transfers can no longer be edited; reverse it with POST /api/transfers/:id/reverse' });
+});
+
+router.delete('/history/:id', (req, res) => {
+  res.status(410).json({ message: 'Transfers can no longer be deleted; reverse it with POST /api/transfers/:id/reverse' });
+});
+
+// List transfers (?clinic=&status=&direction=in|out)
+router.get('/', requirePermission('transfers:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const filter = {};
+    if (clinic) {
+      if (req.query.direction === 'in') filter.toClinic = clinic;
+      else if (req.query.direction === 'out') filter.fromClinic = clinic;
+      else filter.$or = [{ fromClinic: clinic }, { toClinic: clinic }];
+    }
+    if (req.query.status) filter.status = req.query.status;
+    const transfers = await TransferHistory.find(filter).sort({ date: -1 }).populate('fromClinic toClinic', 'name');
+    res.json(transfers);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Stock dispatched but not yet received, per medicine, coming into and going out of a clinic
+router.get('/in-transit', requirePermission('transfers:read'), async (req, res) => {
+  try {
+    const clinic = requestedClinic(req, req.query.clinic);
+    if (!clinic) return res.status(400).json({ message: 'Clinic is required' });
+    if (!canAccessClinic(req.user, clinic)) return denyClinic(res);
+    const transfers = await TransferHistory.find({
+      status: 'dispatched',
+      $or: [{ fromClinic: clinic }, { toClinic: clinic }]
+    }).sort({ dispatchedAt: 1 });
+    const summary = { incoming: {}, outgoing: {} };
+    transfers.forEach(transfer => {
+      const side = String(transfer.toClinic) === String(clinic) ? summary.incoming : summary.outgoing;
+      const key = String(transfer.product || transfer.medicineName);
+      if (!side[key]) {
+        side[key] = { product: transfer.product, medicineName: transfer.medicineName, quantity: 0, transfers: [] };
+      }
+      side[key].quantity += transfer.quantity;
+      side[key].transfers.push({
+        _id: transfer._id,
+        quantity: transfer.quantity,
+        fromClinic: transfer.fromClinic,
+        toClinic: transfer.toClinic,
+        dispatchedAt: transfer.dispatchedAt
+      });
+    });
+    res.json({ incoming: Object.values(summary.incoming), outgoing: Object.values(summary.outgoing) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get('/:id', requirePermission('transfers:read'), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+    await transfer.populate('fromClinic toClinic', 'name');
+    res.json(transfer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Request a transfer. Either clinic may ask; the sending clinic approves and dispatches it.
+router.post('/', requirePermission('transfers:create'), async (req, res) => {
+  /*
+    Body: {
+      fromClinic: String, // clinic id
+      toClinic: String, // clinic id
+      medicineId: String, // _id of medicine in fromClinic
+      medicineName: String, // optional; name in toClinic when the medicine has no catalog product
+      quantity: Number,
+      lots: [{ lotId, quantity }], // optional; lots to send (first-expiry-first-out if omitted)
+      allowExpired: Boolean, // optional; send expired stock (needs expiry:override)
+      notes: String
+    }
+  */
+  try {
+    const { medicineId, medicineName, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+    const allowExpired = req.body.allowExpired === true;
+    if (allowExpired && !hasPermission(req.user, 'expiry:override')) {
+      return res.status(403).json({ message: 'You are not allowed to transfer expired stock' });
+    }
+    const fromClinicId = requestedClinic(req, req.body.fromClinic);
+    const toClinicId = req.body.toClinic ? String(req.body.toClinic) : null;
+    if (!fromClinicId || !toClinicId || !medicineId || !Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ message: 'Invalid transfer data' });
+    }
+    if (fromClinicId === toClinicId) {
+      return res.status(400).json({ message: 'Cannot transfer to the same clinic' });
+    }
+    if (!canAccessClinic(req.user, fromClinicId) && !canAccessClinic(req.user, toClinicId)) return denyClinic(res);
+    if (!(await Clinic.isActiveId(toClinicId))) {
+      return res.status(400).json({ message: 'Unknown or inactive destination clinic' });
+    }
+    const medicine = await Medicine.findOne({ _id: medicineId, clinic: fromClinicId });
+    if (!medicine) return res.status(400).json({ message: 'Source medicine not found' });
+    const picks = Array.isArray(req.body.lots) ? req.body.lots : [];
+    if (picks.length > 0 && picks.reduce((sum, p) => sum + Number(p.quantity), 0) !== quantity) {
+      return res.status(400).json({ message: 'Lot quantities do not add up to the requested quantity' });
+    }
+    const transfer = await TransferHistory.create({
+      medicineName: medicine.name,
+      toMedicineName: medicineName && medicineName !== medicine.name ? medicineName : undefined,
+      medicine: medicine._id,
+      product: medicine.product,
+      quantity,
+      fromClinic: fromClinicId,
+      toClinic: toClinicId,
+      status: 'requested',
+      requestedLots: picks.map(p => ({ lot: p.lotId, quantity: Number(p.quantity) })),
+      expiryOverride: allowExpired,
+      notes,
+      requestedBy: req.user.userId,
+      requestedByName: req.user.name,
+      date: new Date()
+    });
+    await recordAudit({ req, action: 'request', entity: 'transfer', entityId: transfer._id, clinic: fromClinicId, after: transfer });
+    if (req.baseUrl === '/api/medicines/transfer') {
+      return res.status(202).json({
+        message: 'Transfer requested. Stock moves once it is approved, dispatched and received (see /api/transfers).',
+        transfer
+      });
+    }
+    res.status(201).json(transfer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The sending clinic agrees to send the stock
+router.post('/:id/approve', requirePermission('transfers:approve'), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+    if (!canAccessClinic(req.user, transfer.fromClinic)) return denyClinic(res);
+    if (transfer.status !== 'requested') return res.status(400).json({ message: 'Only requested transfers can be approved' });
+    // Approval is a second pair of eyes, so it has to come from someone other than the requester,
+    // unless nobody else could approve it (e.g. a pharmacy with a single admin)
+    if (String(transfer.requestedBy) === String(req.user.userId) && await hasOtherApprover(transfer.fromClinic, req.user.userId)) {
+      return res.status(403).json({ message: 'You cannot approve your own transfer request' });
+    }
+    const medicine = await Medicine.findById(transfer.medicine);
+    if (!medicine) return res.status(400).json({ message: 'Source medicine not found' });
+    const now = new Date();
+    const available = medicine.lots.length > 0
+      ? medicine.lots.filter(lot => transfer.expiryOverride || !isExpired(lot, now)).reduce((sum, lot) => sum + lot.quantity, 0)
+      : stockOnHand(medicine);
+    if (available < transfer.quantity) return res.status(400).json({ message: 'Not enough stock in the sending clinic' });
+    transfer.status = 'approved';
+    transfer.approvedBy = req.user.userId;
+    transfer.approvedAt = now;
+    await transfer.save();
+    await recordAudit({ req, action: 'approve', entity: 'transfer', entityId: transfer._id, clinic: transfer.fromClinic });
+    res.json(transfer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// The sending clinic turns the request down. Body: { reason }
+router.post('/:id/reject', requirePermission('transfers:approve'), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+    if (!canAccessClinic(req.user, transfer.fromClinic)) return denyClinic(res);
+    if (!['requested', 'approved'].includes(transfer.status)) {
+      return res.status(400).json({ message: 'Only transfers that have not been dispatched can be rejected' });
+    }
+    transfer.status = 'rejected';
+    transfer.closedBy = req.user.userId;
+    transfer.closedAt = new Date();
+    transfer.closeReason = req.body.reason;
+    await transfer.save();
+    await recordAudit({
+      req, action: 'reject', entity: 'transfer', entityId: transfer._id, clinic: transfer.fromClinic, after: { reason: req.body.reason }
+    });
+    res.json(transfer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Withdraw a transfer that has not been dispatched. Body: { reason }
+router.post('/:id/cancel', requirePermission('transfers:create'), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+    if (!['requested', 'approved'].includes(transfer.status)) {
+      return res.status(400).json({ message: 'Only transfers that have not been dispatched can be cancelled' });
+    }
+    transfer.status = 'cancelled';
+    transfer.closedBy = req.user.userId;
+    transfer.closedAt = new Date();
+    transfer.closeReason = req.body.reason;
+    await transfer.save();
+    await recordAudit({
+      req, action: 'cancel', entity: 'transfer', entityId: transfer._id, clinic: transfer.fromClinic, after: { reason: req.body.reason }
+    });
+    res.json(transfer);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Send the stock: it leaves the sending clinic and is in transit until received
+router.post('/:id/dispatch', requirePermission('transfers:create'), async (req, res) => {
+  const session = await Medicine.startSession();
+  session.startTransaction();
+  try {
+    const transfer = await lockTransfer(req, session, 'fromClinic');
+    if (transfer.status !== 'approved') throw requestError(400, 'Only approved transfers can be dispatched');
+    const medicine = await Medicine.findById(transfer.medicine).session(session);
+    if (!medicine) throw requestError(400, 'Source medicine not found');
+    const before = snapshot(medicine);
+    const picks = transfer.requestedLots.map(p => ({ lotId: p.lot, quantity: p.quantity }));
+    const lots = takeStock(medicine, transfer.quantity, picks, { allowExpired: transfer.expiryOverride });
+    await medicine.save({ session });
+    await recordMovements({
+      medicine, type: 'transfer_out', direction: -1, lots, source: { type: 'TransferHistory', id: transfer._id }, req, session
+    });
+    transfer.lots = lots;
+    transfer.status = 'dispatched';
+    transfer.dispatchedBy = req.user.userId;
+    transfer.dispatchedAt = new Date();
+    await transfer.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    await recordAudit({
+      req, action: 'dispatch', entity: 'transfer', entityId: transfer._id, clinic: transfer.fromClinic, before, after: medicine
+    });
+    res.json(transfer);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Confirm receipt in the receiving clinic. Body: { receivedQuantity } or { lots: [{ lot, quantity }] }
+// per dispatched lot, plus { reason } when less arrived than was sent. Missing stock is recorded
+// as a discrepancy on the transfer.
+router.post('/:id/receive', requirePermission('transfers:create'), async (req, res) => {
+  const session = await Medicine.startSession();
+  session.startTransaction();
+  try {
+    const transfer = await lockTransfer(req, session, 'toClinic');
+    if (transfer.status !== 'dispatched') throw requestError(400, 'Only dispatched transfers can be received');
+    const received = Array.isArray(req.body.lots)
+      ? req.body.lots
+      : (req.body.receivedQuantity ?? transfer.quantity);
+    const { arrived, missing } = splitReceipt(transfer, received);
+    const missingQuantity = missing.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (missingQuantity > 0 && !req.body.reason) {
+      throw requestError(400, 'A reason is required when less stock arrived than was dispatched');
+    }
+
+    const source = await Medicine.findById(transfer.medicine).session(session);
+    let destination = await findDestination(transfer, source, session);
+    const before = snapshot(destination);
+    if (!destination) {
+      // Copy fields from the source, but set clinic; the stock arrives as lots below
+      destination = new Medicine({
+        name: transfer.toMedicineName || transfer.medicineName,
+        description: source?.description,
+        product: transfer.product,
+        quantity: 0,
+        purchasePrice: source?.purchasePrice ?? transfer.lots[0]?.purchasePrice,
+        clinic: transfer.toClinic
+      });
+    }
+    if (!destination.product && transfer.product) destination.product = transfer.product;
+    const receivedLots = arrived.map(({ lot, batchNumber, expiryDate, quantity, purchasePrice }) => ({
+      ...lotRecord(addLot(destination, { batchNumber, expiryDate, quantity, purchasePrice }), quantity),
+      sourceLot: lot
+    }));
+    await destination.save({ session });
+    await recordMovements({
+      medicine: destination, type: 'transfer_in', lots: receivedLots, source: { type: 'TransferHistory', id: transfer._id }, req, session
+    });
+
+    transfer.toMedicine = destination._id;
+    transfer.receivedLots = receivedLots;
+    transfer.receivedQuantity = transfer.quantity - missingQuantity;
+    if (missingQuantity > 0) {
+      transfer.discrepancy = { quantity: missingQuantity, reason: req.body.reason, lots: missing };
+    }
+    transfer.status = 'received';
+    transfer.receivedBy = req.user.userId;
+    transfer.receivedAt = new Date();
+    await transfer.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    await recordAudit({
+      req,
+      action: 'receive',
+      entity: 'transfer',
+      entityId: transfer._id,
+      clinic: transfer.toClinic,
+      before,
+      after: { destination, receivedQuantity: transfer.receivedQuantity, discrepancy: transfer.discrepancy }
+    });
+    res.json(transfer);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Undo a dispatched or received transfer: the stock goes back into the sending clinic's lots,
+// taken out of the receiving clinic first if it had arrived. Body: { reason }
+router.post('/:id/reverse', requirePermission('transfers:approve'), async (req, res) => {
+  const session = await Medicine.startSession();
+  session.startTransaction();
+  try {
+    const transfer = await TransferHistory.findById(req.params.id).session(session);
+    if (!transfer) throw requestError(404, 'Transfer not found');
+    if (!['dispatched', 'received'].includes(transfer.status)) {
+      throw requestError(400, 'Only dispatched or received transfers can be reversed');
+    }
+    // The sending clinic reverses; once received, the stock also leaves the receiving clinic
+    if (!canAccessClinic(req.user, transfer.fromClinic) ||
+      (transfer.status === 'received' && !canAccessClinic(req.user, transfer.toClinic))) {
+      throw requestError(403, 'Access denied for this clinic');
+    }
+    const movementSource = { type: 'TransferHistory', id: transfer._id };
+    const note = 'Reversal';
+
+    // Transfers recorded before the workflow only carry names
+    const source = transfer.medicine
+      ? await Medicine.findById(transfer.medicine).session(session)
+      : await Medicine.findOne({ name: transfer.medicineName, clinic: transfer.fromClinic }).session(session);
+    if (!source) throw requestError(400, 'The sending clinic no longer stocks this medicine');
+    const sourceBefore = snapshot(source);
+
+    let destination = null;
+    let destinationBefore = null;
+    // What goes back into the sending clinic, as source lot records
+    let returning;
+    if (transfer.status === 'received') {
+      destination = transfer.toMedicine
+        ? await Medicine.findById(transfer.toMedicine).session(session)
+        : await findDestination(transfer, source, session);
+      if (!destination) throw requestError(400, 'The receiving clinic no longer stocks this medicine');
+      destinationBefore = snapshot(destination);
+      let taken;
+      if (transfer.receivedLots.length > 0) {
+        const quantity = transfer.receivedLots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const picks = transfer.receivedLots.map(lot => ({ lotId: lot.lot, quantity: lot.quantity }));
+        taken = takeStock(destination, quantity, picks, { allowExpired: true });
+        returning = arrivedLots(transfer);
+      } else {
+        taken = takeStock(destination, transfer.quantity, null, { allowExpired: true });
+        returning = transfer.lots.length > 0 ? transfer.lots : [{ quantity: transfer.quantity }];
+      }
+      await destination.save({ session });
+      await recordMovements({
+        medicine: destination, type: 'transfer_out', direction: -1, lots: taken, source: movementSource, req, note, session
+      });
+    } else {
+      returning = transfer.lots;
+    }
+
+    const restored = returnStock(source, returning.map(lot => ({
+      lot: lot.lot,
+      batchNumber: lot.batchNumber,
+      expiryDate: lot.expiryDate,
+      quantity: lot.quantity,
+      purchasePrice: lot.purchasePrice
+    })));
+    await source.save({ session });
+    await recordMovements({ medicine: source, type: 'transfer_in', lots: restored, source: movementSource, req, note, session });
+
+    const previousStatus = transfer.status;
+    transfer.status = 'reversed';
+    transfer.closedBy = req.user.userId;
+    transfer.closedAt = new Date();
+    transfer.closeReason = req.body.reason;
+    await transfer.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    await recordAudit({
+      req,
+      action: 'reverse',
+      entity: 'transfer',
+      entityId: transfer._id,
+      clinic: transfer.fromClinic,
+      before: { status: previousStatus, source: sourceBefore, destination: destinationBefore },
+      after: { reason: req.body.reason, source, destination }
+    });
+    res.json(transfer);
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+// Admin user management routes
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Clinic = require('../models/Clinic');
+const { verifyToken, requirePermission, canManageRole } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount } = require('../services/loginGuard');
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('users:manage'));
+
+// Never send password hashes to the client
+const SAFE_FIELDS = '-password';
+
+const temporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+const denyRole = (res) => res.status(403).json({ message: 'Only an admin can manage users with this role' });
+
+// Load the user a route acts on; answers 404/403 and returns null when the caller may not manage them
+const loadManagedUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  if (!(await canManageRole(req.user, user.role))) {
+    denyRole(res);
+    return null;
+  }
+  return user;
+};
+
+// Refuse changes that would leave the system without an active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || user.active === false) return false;
+  const admins = await User.countDocuments({ role: 'admin', active: { $ne: false } });
+  return admins <= 1;
+};
+
+// List users (optionally filter by clinic, role, active flag and name/email search)
+router.get('/', async (req, res) => {
+  try {
+    const { clinic, role, active, search } = req.query;
+    const filter = {};
+    if (clinic) filter.clinic = clinic;
+    if (role) filter.role = role;
+    if (active === 'true') filter.active = { $ne: false };
+    if (active === 'false') filter.active = false;
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+    const users = await User.find(filter).select(SAFE_FIELDS).sort({ name: 1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get a single user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(SAFE_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Invite a user: creates the account with a temporary password that must be changed on first login
+router.post('/invite', async (req, res) => {
+  try {
+    const { name, email, role, clinic } = req.body;
+    if (!name || !email || !role) {
+      return res.status(400).json({ message: 'Name, email and role are required' });
+    }
+    if (!(await Role.exists({ name: role }))) {
+      return res.status(400).json({ message: 'Unknown role' });
+    }
+    if (!(await canManageRole(req.user, role))) return denyRole(res);
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+    if (clinic && !(await Clinic.isActiveId(clinic))) {
+      return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    }
+    const password = temporaryPassword();
+    const user = new User({
+      name,
+      email,
+      role,
+      clinic: clinic || undefined,
+      password: await bcrypt.hash(password, 10),
+      mustChangePassword: true
+    });
+    await user.save();
+    const { password: _, ...created } = user.toObject();
+    res.status(201).json({ user: created, temporaryPassword: password });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Update a user's name, email, role or clinic
+router.put('/:id', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    const { name, email, role, clinic } = req.body;
+
+    if (role !== undefined && role !== user.role) {
+      if (!(await Role.exists({ name: role }))) {
+        return res.status(400).json({ message: 'Unknown role' });
+      }
+      if (!(await canManageRole(req.user, role))) return denyRole(res);
+      if (await isLastActiveAdmin(user)) {
+        return res.status(400).json({ message: 'Cannot change the role of the last admin' });
+      }
+    }
+    if (email !== undefined && email !== user.email && await User.exists({ email })) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+    const clinicChanged = clinic !== undefined && String(clinic || '') !== String(user.clinic || '');
+    if (clinicChanged && clinic && !(await Clinic.isActiveId(clinic))) {
+      return res.status(400).json({ message: 'Unknown or inactive clinic' });
+    }
+
+    const claimsChanged = (role !== undefined && role !== user.role) ||
+      clinicChanged ||
+      (email !== undefined && email !== user.email);
+
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = email;
+    if (role !== undefined) user.role = role;
+    if (clinic !== undefined) user.clinic = clinic || undefined;
+    await user.save();
+
+    // Role, clinic and email are baked into access tokens, so make the user log in again
+    if (claimsChanged) await revokeUserSessions(user._id, 'account updated');
+
+    const { password: _, ...updated } = user.toObject();
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// Deactivate a user and end their sessions
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    if (String(user._id) === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot deactivate the last admin' });
+    }
+    user.active = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeUserSessions(user._id, 'account deactivated');
+    res.json({ message: 'User deactivated' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Reactivate a user
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    user.active = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+    res.json({ message: 'User reactivated' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Issue a new temporary password for a user who forgot theirs
+router.post('/:id/reset-password', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    const password = temporaryPassword();
+    user.password = await bcrypt.hash(password, 10);
+    user.mustChangePassword = true;
+    await user.save();
+    await revokeUserSessions(user._id, 'password reset');
+    res.json({ message: 'Temporary password issued', temporaryPassword: password });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Remove two-factor authentication from a user who lost their device; they re-enroll on next login if required
+router.post('/:id/reset-2fa', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+    await revokeUserSessions(user._id, 'two-factor reset');
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Clear a login lockout on a user's account
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+    const unlocked = await unlockAccount(user.email, req.user.userId);
+    res.json({ message: unlocked ? 'Account unlocked' : 'Account was not locked' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
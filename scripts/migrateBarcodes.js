@@ -0,0 +1,37 @@
+// One-off migration: move the single `barcode` field on products into the `barcodes` list.
+// Safe to run more than once.
+// Usage: npm run migrate:barcodes
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const products = mongoose.connection.db.collection('products');
+  const legacy = await products.find({ barcode: { $exists: true } }).toArray();
+
+  for (const product of legacy) {
+    const code = String(product.barcode || '').trim();
+    const update = { $unset: { barcode: '' } };
+    if (code) update.$addToSet = { barcodes: code };
+    await products.updateOne({ _id: product._id }, update);
+  }
+  // The old single-value index is replaced by the one on barcodes
+  const indexes = await products.indexes();
+  if (indexes.some(index => index.name === 'barcode_1')) await products.dropIndex('barcode_1');
+  // An earlier sparse barcodes index treats every empty list as the same value; rebuild it as partial
+  const barcodesIndex = indexes.find(index => index.name === 'barcodes_1');
+  if (barcodesIndex && !barcodesIndex.partialFilterExpression) await products.dropIndex('barcodes_1');
+  await products.createIndex(
+    { barcodes: 1 },
+    { name: 'barcodes_1', unique: true, partialFilterExpression: { 'barcodes.0': { $exists: true } } }
+  );
+
+  console.log(`Products migrated: ${legacy.length}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('Barcode migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+// One-off migration: turn free-text clinic names into Clinic documents and replace every
+// reference with the clinic id. Safe to run more than once.
+// Usage: npm run migrate:clinics
+//
+// Audit log entries keep their original clinic values: rewriting them would break the hash chain.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Clinic = require('../models/Clinic');
+
+// Older clients sent names with worker names appended, e.g. "Main (Ali, Sara)"
+const cleanName = (value) => String(value).split(' (')[0].trim();
+
+// Fields holding a single clinic name, per collection
+const SINGLE_FIELDS = [
+  ['medicines', 'clinic'],
+  ['users', 'clinic'],
+  ['sales', 'clinic'],
+  ['transferhistories', 'fromClinic'],
+  ['transferhistories', 'toClinic']
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection.db;
+
+  // 1. Every distinct string value still in use
+  const rawNames = new Set();
+  for (const [collection, field] of SINGLE_FIELDS) {
+    const values = await db.collection(collection).distinct(field, { [field]: { $type: 'string' } });
+    values.forEach(v => v && rawNames.add(v));
+  }
+  const hidden = await db.collection('users').distinct('settings.clinicsHidePrices', {
+    'settings.clinicsHidePrices': { $type: 'string' }
+  });
+  hidden.forEach(v => typeof v === 'string' && v && rawNames.add(v));
+
+  // 2. One clinic per cleaned name
+  const idByRaw = {};
+  for (const raw of rawNames) {
+    const name = cleanName(raw);
+    if (!name) continue;
+    const clinic = await Clinic.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true }
+    );
+    idByRaw[raw] = clinic._id;
+  }
+  console.log(`Clinics found: ${new Set(Object.values(idByRaw).map(String)).size}`);
+
+  // 3. Replace names with ids
+  for (const [collection, field] of SINGLE_FIELDS) {
+    let updated = 0;
+    for (const [raw, id] of Object.entries(idByRaw)) {
+      const result = await db.collection(collection).updateMany({ [field]: raw }, { $set: { [field]: id } });
+      updated += result.modifiedCount;
+    }
+    // Empty strings are not clinics
+    await db.collection(collection).updateMany({ [field]: '' }, { $unset: { [field]: '' } });
+    console.log(`${collection}.${field}: ${updated} updated`);
+  }
+
+  const users = await db.collection('users').find({ 'settings.clinicsHidePrices': { $type: 'string' } }).toArray();
+  for (const user of users) {
+    const ids = user.settings.clinicsHidePrices
+      .map(v => (typeof v === 'string' ? idByRaw[v] : v))
+      .filter(Boolean);
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { 'settings.clinicsHidePrices': ids } });
+  }
+  console.log(`users.settings.clinicsHidePrices: ${users.length} updated`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('Clinic migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
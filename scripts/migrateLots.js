@@ -0,0 +1,26 @@
+// One-off migration: give every medicine created before lot tracking a single lot holding
+// its current stock, expiry and purchase price. Safe to run more than once.
+// Usage: npm run migrate:lots
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const { ensureLots } = require('../services/inventory');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const medicines = await Medicine.find({ quantity: { $gt: 0 }, $or: [{ lots: { $exists: false } }, { lots: { $size: 0 } }] });
+
+  for (const medicine of medicines) {
+    ensureLots(medicine);
+    await medicine.save();
+  }
+
+  console.log(`Medicines migrated to lots: ${medicines.length}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('Lot migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
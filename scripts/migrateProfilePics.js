@@ -0,0 +1,36 @@
+// One-off migration: move base64 profile pictures stored on User documents into file storage.
+// Usage: npm run migrate:profile-pics
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { saveProfilePic } = require('../services/profilePics');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const users = await User.find({ profilePic: { $regex: '^data:' } });
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const user of users) {
+    const base64 = user.profilePic.slice(user.profilePic.indexOf(',') + 1);
+    const saved = await saveProfilePic(user, Buffer.from(base64, 'base64'));
+    if (saved) {
+      migrated += 1;
+    } else {
+      // Not a recognisable image: drop it rather than keep serving arbitrary data
+      user.profilePic = undefined;
+      await user.save();
+      skipped += 1;
+      console.warn(`Removed unreadable profile picture for ${user.email}`);
+    }
+  }
+
+  console.log(`Profile pictures migrated: ${migrated}, removed: ${skipped}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('Profile picture migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// One-off migration: start the stock ledger by writing an opening movement for every medicine
+// that has none yet. The opening is the stock that the movements already recorded do not
+// account for, so running it again (or after some movements were written) adds nothing twice.
+// Usage: npm run migrate:stock-ledger
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const StockMovement = require('../models/StockMovement');
+const { ensureLots, lotRecord } = require('../services/inventory');
+const { recordMovements } = require('../services/stockLedger');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const opened = new Set((await StockMovement.distinct('medicine', { type: 'opening' })).map(String));
+  // Sum of the movements already recorded, per medicine and per lot
+  const recorded = await StockMovement.aggregate([
+    { $group: { _id: { medicine: '$medicine', lot: '$lot' }, quantity: { $sum: '$quantity' } } }
+  ]);
+  const recordedByMedicine = new Map();
+  const recordedByLot = new Map();
+  recorded.forEach(({ _id, quantity }) => {
+    const key = String(_id.medicine);
+    recordedByMedicine.set(key, (recordedByMedicine.get(key) || 0) + quantity);
+    if (_id.lot) recordedByLot.set(String(_id.lot), quantity);
+  });
+  const medicines = await Medicine.find();
+  let migrated = 0;
+
+  for (const medicine of medicines) {
+    const key = String(medicine._id);
+    if (opened.has(key)) continue;
+    const missing = (medicine.quantity || 0) - (recordedByMedicine.get(key) || 0);
+    if (missing === 0) continue;
+    if (medicine.lots.length === 0 && medicine.quantity > 0) {
+      ensureLots(medicine);
+      await medicine.save();
+    }
+    const lots = medicine.lots
+      .map(lot => lotRecord(lot, lot.quantity - (recordedByLot.get(String(lot._id)) || 0)))
+      .filter(lot => lot.quantity !== 0);
+    // Movements recorded without a lot leave a difference no lot explains; book it without one
+    const remainder = missing - lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (remainder !== 0) lots.push({ quantity: remainder });
+    await recordMovements({
+      medicine,
+      type: 'opening',
+      lots,
+      source: { type: 'Medicine', id: medicine._id },
+      note: 'Ledger started'
+    });
+    migrated += 1;
+  }
+
+  console.log(`Opening stock recorded for ${migrated} medicines`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (err) => {
+  console.error('Stock ledger migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
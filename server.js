@@ -5,21 +5,64 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/authRoutes');
 const medicineRoutes = require('./routes/medicineRoutes');
+const medicineCsvRoutes = require('./routes/medicineCsvRoutes');
+const transferRoutes = require('./routes/transferRoutes');
 const saleRoutes = require('./routes/saleRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const priceRoutes = require('./routes/priceRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
 const settingsRoutes = require('./routes/settingsRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const userRoutes = require('./routes/userRoutes');
+const securityRoutes = require('./routes/securityRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const clinicRoutes = require('./routes/clinicRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const stockTakeRoutes = require('./routes/stockTakeRoutes');
+const productRoutes = require('./routes/productRoutes');
+const Role = require('./models/Role');
+const { startExpiryJob } = require('./jobs/expiryQuarantine');
+const { startReconcileJob } = require('./jobs/stockReconcile');
 
 const app = express();
+// Needed behind a reverse proxy so req.ip (used for login throttling) is the real client address
+if (process.env.TRUST_PROXY_HOPS) app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
 app.use('/api/auth', authRoutes);
+app.use('/api/medicines', medicineCsvRoutes);
+app.use('/api/medicines/transfer', transferRoutes);
 app.use('/api/medicines', medicineRoutes);
 app.use('/api/sales', saleRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/prices', priceRoutes);
+app.use('/api/shifts', shiftRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/clinics', clinicRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/transfers', transferRoutes);
 
 mongoose.connect(process.env.MONGO_URI)
-.then(() => console.log('MongoDB connected'))
+.then(async () => {
+  console.log('MongoDB connected');
+  await Role.ensureDefaults();
+  startExpiryJob();
+  startReconcileJob();
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 5000;
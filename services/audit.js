@@ -0,0 +1,134 @@
+// Tamper-evident audit log: every change to stock, sales and transfers is appended
+// to a hash chain (hash = sha256(previous hash + entry contents)).
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const AuditHead = require('../models/AuditHead');
+const AuditFailure = require('../models/AuditFailure');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_RETRIES = 5;
+const HEAD_ID = 'audit';
+
+// Plain JSON copy of a document, so the stored snapshot hashes the same after a round trip
+const snapshot = (doc) => {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+};
+
+// JSON with sorted keys so the hash does not depend on property order
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashedFields = (entry) => ({
+  seq: entry.seq,
+  at: new Date(entry.at).toISOString(),
+  actor: entry.actor ? String(entry.actor) : null,
+  actorName: entry.actorName ?? null,
+  actorRole: entry.actorRole ?? null,
+  action: entry.action,
+  entity: entry.entity,
+  entityId: entry.entityId ?? null,
+  clinic: entry.clinic ?? null,
+  before: entry.before ?? null,
+  after: entry.after ?? null,
+  ip: entry.ip ?? null
+});
+
+const computeHash = (prevHash, entry) =>
+  crypto.createHash('sha256').update(prevHash + canonical(hashedFields(entry))).digest('hex');
+
+// Move the stored chain head forward to an entry (never back, when appends finish out of order)
+const advanceHead = async (entry) => {
+  try {
+    await AuditHead.updateOne(
+      { _id: HEAD_ID, seq: { $lt: entry.seq } },
+      { $set: { seq: entry.seq, hash: entry.hash } },
+      { upsert: true }
+    );
+  } catch (err) {
+    // 11000: the head is already past this entry, so the upsert collided with the existing document.
+    // Anything else leaves the head behind, which verify tolerates.
+    if (err.code !== 11000) console.error('Failed to move the audit chain head:', err);
+  }
+};
+
+// Append an entry. Failures are not thrown, since the change being audited has already been
+// saved by the time this runs; the entry goes to the AuditFailure collection instead.
+const recordAudit = async ({ req, action, entity, entityId, clinic, before, after }) => {
+  const base = {
+    at: new Date(),
+    actor: req?.user?.userId,
+    actorName: req?.user?.name,
+    actorRole: req?.user?.role,
+    action,
+    entity,
+    entityId: entityId ? String(entityId) : undefined,
+    clinic: clinic ? String(clinic) : undefined,
+    before: snapshot(before),
+    after: snapshot(after),
+    ip: req?.ip
+  };
+
+  let error = null;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash');
+      const entry = { ...base, seq: last ? last.seq + 1 : 1 };
+      entry.prevHash = last ? last.hash : GENESIS_HASH;
+      entry.hash = computeHash(entry.prevHash, entry);
+      const created = await AuditLog.create(entry);
+      await advanceHead(created);
+      return created;
+    } catch (err) {
+      error = err;
+      // Another request took this sequence number; read the new tail and try again
+      if (err.code !== 11000) break;
+    }
+  }
+  console.error('Failed to write audit log entry:', error);
+  try {
+    await AuditFailure.create({ entry: base, error: error?.message });
+  } catch (err) {
+    console.error('Failed to record the lost audit entry:', err, base);
+  }
+  return null;
+};
+
+// Walk the chain in order and report the first entry that was edited, deleted or inserted.
+// The stored head catches entries deleted from the end; unrecorded counts entries that never
+// made it into the chain.
+const verifyAuditChain = async () => {
+  const [head, unrecorded] = await Promise.all([AuditHead.findById(HEAD_ID), AuditFailure.countDocuments()]);
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, unrecorded, brokenAt: expectedSeq, reason: `Entry ${expectedSeq} is missing` };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, unrecorded, brokenAt: entry.seq, reason: 'Previous hash does not match' };
+    }
+    if (computeHash(entry.prevHash, entry) !== entry.hash) {
+      return { valid: false, checked, unrecorded, brokenAt: entry.seq, reason: 'Entry contents were modified' };
+    }
+    if (head && entry.seq === head.seq && entry.hash !== head.hash) {
+      return { valid: false, checked, unrecorded, brokenAt: entry.seq, reason: 'Entry does not match the stored chain head' };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+  if (head && head.seq >= expectedSeq) {
+    return { valid: false, checked, unrecorded, brokenAt: expectedSeq, reason: `Entries ${expectedSeq} to ${head.seq} are missing` };
+  }
+  return { valid: true, checked, unrecorded };
+};
+
+module.exports = { recordAudit, verifyAuditChain, snapshot };
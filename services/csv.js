@@ -0,0 +1,58 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, double-quoted fields,
+// "" for a quote inside a quoted field, CRLF or LF line endings).
+
+// Returns an array of rows, each an array of strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw Object.assign(new Error('CSV has an unterminated quoted field'), { status: 400 });
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+};
+
+// Quote a value when needed. Values starting with = + - @ get a leading ' so spreadsheet
+// programs do not run them as formulas.
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the formula escape of csvValue, so an exported file imports the values it was made from
+const unescapeValue = (text) => (/^'[=+\-@]/.test(text) ? text.slice(1) : text);
+
+// rows: arrays of values; the first row is usually the header
+const toCsv = (rows) => rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv, unescapeValue };
@@ -0,0 +1,15 @@
+// Detect image formats from their leading bytes instead of trusting the client's content type
+const SIGNATURES = [
+  { type: 'image/png', ext: '.png', test: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/jpeg', ext: '.jpg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/gif', ext: '.gif', test: (b) => b.length >= 6 && ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('ascii')) },
+  { type: 'image/webp', ext: '.webp', test: (b) => b.length >= 12 && b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+// Returns { type, ext } or null when the buffer is not a supported image
+const detectImageType = (buffer) => {
+  const match = SIGNATURES.find(s => s.test(buffer));
+  return match ? { type: match.type, ext: match.ext } : null;
+};
+
+module.exports = { detectImageType };
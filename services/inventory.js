@@ -0,0 +1,192 @@
+// Lot-level stock operations on Medicine documents. These functions change the document
+// in memory; the caller saves it (inside its transaction, if any).
+
+// Error for requests that cannot be met with the stock on hand (sent to the client as 400)
+const stockError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const sameDay = (a, b) => (!a && !b) || (!!a && !!b && new Date(a).getTime() === new Date(b).getTime());
+
+// Medicines created before lot tracking hold their stock in quantity/expiryDate only.
+// Turn that stock into a single lot so it can be consumed like any other.
+const ensureLots = (medicine) => {
+  if (medicine.lots.length === 0 && medicine.quantity > 0) {
+    medicine.lots.push({
+      expiryDate: medicine.expiryDate,
+      quantity: medicine.quantity,
+      purchasePrice: medicine.purchasePrice,
+      receivedAt: medicine.createdAt
+    });
+  }
+  return medicine;
+};
+
+// Expired by date, or already flagged by the quarantine job (jobs/expiryQuarantine.js)
+const isExpired = (lot, now = new Date()) => !!lot.quarantined || (!!lot.expiryDate && lot.expiryDate <= now);
+
+// Current stock from the lots (or the plain quantity for medicines without lots), including
+// changes not saved yet
+const stockOnHand = (medicine) => (medicine.lots.length > 0
+  ? medicine.lots.reduce((sum, lot) => sum + lot.quantity, 0)
+  : medicine.quantity);
+
+// Lots in first-expiry-first-out order (lots without an expiry date go last)
+const fefoOrder = (lots) => [...lots].sort((a, b) => {
+  const ea = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const eb = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  if (ea !== eb) return ea - eb;
+  return (a.receivedAt?.getTime() || 0) - (b.receivedAt?.getTime() || 0);
+});
+
+const newestLot = (medicine) =>
+  [...medicine.lots].sort((a, b) => (b.receivedAt?.getTime() || 0) - (a.receivedAt?.getTime() || 0))[0];
+
+const lotRecord = (lot, quantity) => ({
+  lot: lot._id,
+  batchNumber: lot.batchNumber,
+  expiryDate: lot.expiryDate,
+  quantity,
+  purchasePrice: lot.purchasePrice
+});
+
+// Add stock as a lot. Stock with the same batch number and expiry is merged into the existing lot.
+const addLot = (medicine, { batchNumber, expiryDate, quantity, purchasePrice, receivedAt }) => {
+  ensureLots(medicine);
+  const price = purchasePrice ?? medicine.purchasePrice;
+  const existing = medicine.lots.find(lot =>
+    (lot.batchNumber || '') === (batchNumber || '') &&
+    sameDay(lot.expiryDate, expiryDate) &&
+    (lot.purchasePrice ?? null) === (price ?? null)
+  );
+  if (existing) {
+    existing.quantity += quantity;
+    return existing;
+  }
+  medicine.lots.push({ batchNumber, expiryDate, quantity, purchasePrice: price, receivedAt: receivedAt || new Date() });
+  return medicine.lots[medicine.lots.length - 1];
+};
+
+// Take stock out of a medicine. Without `picks` lots are used first-expiry-first-out;
+// with picks ([{ lotId, quantity }]) exactly those lots are used.
+// Expired lots are skipped (or refused when picked) unless `allowExpired` is set.
+// Returns the lots consumed as [{ lot, batchNumber, expiryDate, quantity, purchasePrice }].
+const takeStock = (medicine, quantity, picks, { allowExpired = false } = {}) => {
+  ensureLots(medicine);
+  if (!(quantity > 0)) throw stockError('Quantity must be greater than zero');
+  const now = new Date();
+
+  if (picks && picks.length > 0) {
+    const total = picks.reduce((sum, p) => sum + Number(p.quantity), 0);
+    if (total !== quantity) throw stockError('Lot quantities do not add up to the requested quantity');
+    return picks.map(pick => {
+      const lot = medicine.lots.id(pick.lotId);
+      if (!lot) throw stockError(`Lot ${pick.lotId} not found`);
+      if (!allowExpired && isExpired(lot, now)) throw stockError(`Lot ${lot.batchNumber || lot._id} has expired`);
+      if (!(pick.quantity > 0) || lot.quantity < pick.quantity) {
+        throw stockError(`Not enough stock in lot ${lot.batchNumber || lot._id}`);
+      }
+      lot.quantity -= pick.quantity;
+      return lotRecord(lot, Number(pick.quantity));
+    });
+  }
+
+  const usable = fefoOrder(medicine.lots).filter(lot => allowExpired || !isExpired(lot, now));
+  const available = usable.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (available < quantity) {
+    const total = medicine.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    throw stockError(total >= quantity ? 'Not enough stock that has not expired' : 'Not enough stock');
+  }
+
+  const consumed = [];
+  let remaining = quantity;
+  for (const lot of usable) {
+    if (remaining === 0) break;
+    if (lot.quantity <= 0) continue;
+    const take = Math.min(lot.quantity, remaining);
+    lot.quantity -= take;
+    remaining -= take;
+    consumed.push(lotRecord(lot, take));
+  }
+  return consumed;
+};
+
+// Put stock back, e.g. when a sale is deleted. Lots are matched by id; stock whose lot
+// is gone (or that never had one) is added back as a lot with the recorded details.
+// Returns the lots the stock went into, like takeStock.
+const returnStock = (medicine, consumed) => {
+  ensureLots(medicine);
+  return consumed.map(entry => {
+    let lot = entry.lot && medicine.lots.id(entry.lot);
+    if (lot) {
+      lot.quantity += entry.quantity;
+    } else if (entry.batchNumber || entry.expiryDate || entry.purchasePrice !== undefined) {
+      lot = addLot(medicine, entry);
+    } else {
+      // Nothing known about the lot: add it to the most recently received one
+      lot = newestLot(medicine);
+      if (lot) lot.quantity += entry.quantity;
+      else lot = addLot(medicine, { quantity: entry.quantity });
+    }
+    return lotRecord(lot, entry.quantity);
+  });
+};
+
+// Manual correction of the total quantity: extra stock goes into the most recently received
+// lot, missing stock is taken first-expiry-first-out.
+// Returns the lot changes with signed quantities (positive = added).
+const setQuantity = (medicine, quantity) => {
+  if (!(quantity >= 0)) throw stockError('Quantity cannot be negative');
+  ensureLots(medicine);
+  const current = stockOnHand(medicine);
+  if (quantity > current) {
+    let lot = newestLot(medicine);
+    if (lot) lot.quantity += quantity - current;
+    else lot = addLot(medicine, { quantity, expiryDate: medicine.expiryDate });
+    return [lotRecord(lot, quantity - current)];
+  }
+  if (quantity < current) {
+    return takeStock(medicine, current - quantity, null, { allowExpired: true })
+      .map(record => ({ ...record, quantity: -record.quantity }));
+  }
+  return [];
+};
+
+// Remove expired stock. Without lotIds every expired lot is emptied; listed lots must have expired.
+// Returns the lots removed, like takeStock.
+const writeOffExpired = (medicine, lotIds) => {
+  ensureLots(medicine);
+  const now = new Date();
+  let lots;
+  if (lotIds && lotIds.length > 0) {
+    lots = lotIds.map(id => {
+      const lot = medicine.lots.id(id);
+      if (!lot) throw stockError(`Lot ${id} not found`);
+      if (!isExpired(lot, now)) throw stockError(`Lot ${lot.batchNumber || lot._id} has not expired`);
+      return lot;
+    });
+  } else {
+    lots = medicine.lots.filter(lot => isExpired(lot, now));
+  }
+  return lots.filter(lot => lot.quantity > 0).map(lot => {
+    const record = lotRecord(lot, lot.quantity);
+    lot.quantity = 0;
+    return record;
+  });
+};
+
+// Lots a sale took, or a single lot-less entry for sales recorded before lot tracking
+const saleConsumption = (sale) => (sale.lots && sale.lots.length > 0 ? sale.lots : [{ quantity: sale.quantity }]);
+
+module.exports = {
+  stockError,
+  ensureLots,
+  isExpired,
+  stockOnHand,
+  lotRecord,
+  fefoOrder,
+  addLot,
+  takeStock,
+  returnStock,
+  setQuantity,
+  writeOffExpired,
+  saleConsumption
+};
@@ -0,0 +1,225 @@
+// Brute-force protection for login (and for price approval codes): per-account and per-IP
+// failure counters, progressive delays and temporary lockouts. Thresholds come from GlobalSetting.
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const { getSettings } = require('./settings');
+
+const DEFAULTS = {
+  loginMaxAttempts: 5, // account failures before lockout
+  loginLockoutMinutes: 15,
+  loginIpMaxAttempts: 20, // failures from one IP within the window before lockout
+  loginIpWindowMinutes: 15,
+  loginDelayAfterAttempts: 3, // failures before delays kick in
+  loginDelaySeconds: 1, // first delay, doubled on every further failure
+  loginMaxDelaySeconds: 30,
+  approvalMaxAttempts: 5, // wrong approval codes from one user before lockout
+  approvalIpMaxAttempts: 20 // wrong approval codes from one IP within the window before lockout
+};
+
+const MINUTE = 60 * 1000;
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+const approvalUserKey = (userId) => `approval-user:${userId}`;
+const approvalIpKey = (ip) => `approval-ip:${ip}`;
+
+const getLimits = async () => {
+  const settings = await getSettings(DEFAULTS);
+  Object.keys(DEFAULTS).forEach(key => {
+    const value = Number(settings[key]);
+    settings[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULTS[key];
+  });
+  return settings;
+};
+
+// Seconds until the key may try again, or 0 if it is not blocked
+const blockedFor = (throttle, now) => {
+  if (!throttle) return 0;
+  const until = Math.max(throttle.lockedUntil?.getTime() || 0, throttle.nextAttemptAt?.getTime() || 0);
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+};
+
+// Returns { retryAfter, locked } when any of the keys is blocked, else null
+const checkKeys = async (keys) => {
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({ key: { $in: keys } });
+  let retryAfter = 0;
+  let locked = false;
+  throttles.forEach(t => {
+    const wait = blockedFor(t, now);
+    if (wait > retryAfter) retryAfter = wait;
+    if (t.lockedUntil && t.lockedUntil.getTime() > now) locked = true;
+  });
+  return retryAfter > 0 ? { retryAfter, locked } : null;
+};
+
+// Check whether a login attempt may proceed. Returns { retryAfter, locked } when it may not.
+const checkLogin = (email, ip) => checkKeys([accountKey(email), ipKey(ip)]);
+
+// Count one failure against a key and apply delay/lockout. Returns true if the key just got locked.
+// The counter is only changed with atomic updates so parallel failures cannot get lost.
+const countFailure = async (key, maxAttempts, windowMinutes, limits) => {
+  const now = new Date();
+  const keepFor = Math.max(windowMinutes, limits.loginLockoutMinutes) * MINUTE;
+  // A counter whose lockout has run out or whose last failure is outside the window starts over
+  await LoginThrottle.updateOne(
+    {
+      key,
+      $or: [
+        { lockedUntil: { $lt: now } },
+        { lastFailureAt: { $lt: new Date(now.getTime() - windowMinutes * MINUTE) } }
+      ]
+    },
+    { $set: { failures: 0, firstFailureAt: now }, $unset: { lockedUntil: 1, nextAttemptAt: 1 } }
+  );
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + keepFor) },
+      $setOnInsert: { firstFailureAt: now }
+    },
+    { upsert: true, new: true }
+  );
+  let throttle;
+  try {
+    throttle = await increment();
+  } catch (err) {
+    // Two first failures at once: one upsert inserts, the other retries as an update
+    if (err.code !== 11000) throw err;
+    throttle = await increment();
+  }
+
+  const update = {};
+  if (throttle.failures >= limits.loginDelayAfterAttempts) {
+    const exponent = throttle.failures - limits.loginDelayAfterAttempts;
+    const delay = Math.min(limits.loginDelaySeconds * 2 ** exponent, limits.loginMaxDelaySeconds);
+    update.nextAttemptAt = new Date(now.getTime() + delay * 1000);
+  }
+  // Only the failure that reaches the limit reports the lockout
+  const locked = maxAttempts > 0 && throttle.failures >= maxAttempts;
+  if (locked) {
+    update.lockedUntil = new Date(now.getTime() + limits.loginLockoutMinutes * MINUTE);
+    update.expiresAt = new Date(update.lockedUntil.getTime() + keepFor);
+  }
+  if (Object.keys(update).length > 0) await LoginThrottle.updateOne({ _id: throttle._id }, { $set: update });
+  return locked && throttle.failures === maxAttempts;
+};
+
+// Record a failed login for both the account and the IP
+const recordFailure = async (email, req) => {
+  const limits = await getLimits();
+  const ip = req.ip;
+  const userAgent = req.headers['user-agent'];
+
+  const accountLocked = await countFailure(accountKey(email), limits.loginMaxAttempts, limits.loginLockoutMinutes, limits);
+  const ipLocked = await countFailure(ipKey(ip), limits.loginIpMaxAttempts, limits.loginIpWindowMinutes, limits);
+
+  if (accountLocked) {
+    const user = await User.findOne({ email }).select('_id');
+    await SecurityEvent.create({
+      type: 'account_locked',
+      email,
+      user: user?._id,
+      ip,
+      userAgent,
+      details: { lockoutMinutes: limits.loginLockoutMinutes, attempts: limits.loginMaxAttempts }
+    });
+    console.warn(`Login locked for account ${email} after ${limits.loginMaxAttempts} failures (ip ${ip})`);
+  }
+  if (ipLocked) {
+    await SecurityEvent.create({
+      type: 'ip_locked',
+      email,
+      ip,
+      userAgent,
+      details: { lockoutMinutes: limits.loginLockoutMinutes, attempts: limits.loginIpMaxAttempts }
+    });
+    console.warn(`Login locked for ip ${ip} after ${limits.loginIpMaxAttempts} failures`);
+  }
+};
+
+// A successful login clears the account counter (the IP counter runs out on its own)
+const recordSuccess = async (email) => {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+// Admin unlock of an account; returns true if there was anything to clear
+const unlockAccount = async (email, actor) => {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  if (result.deletedCount > 0) {
+    const user = await User.findOne({ email }).select('_id');
+    await SecurityEvent.create({ type: 'account_unlocked', email, user: user?._id, actor });
+  }
+  return result.deletedCount > 0;
+};
+
+const unlockIp = async (ip, actor) => {
+  const result = await LoginThrottle.deleteOne({ key: ipKey(ip) });
+  if (result.deletedCount > 0) {
+    await SecurityEvent.create({ type: 'ip_unlocked', ip, actor });
+  }
+  return result.deletedCount > 0;
+};
+
+// Check whether the user may try an approval code. Returns { retryAfter, locked } when not.
+const checkApprovalCode = (req) => checkKeys([approvalUserKey(req.user.userId), approvalIpKey(req.ip)]);
+
+// Record a wrong approval code for the user and the IP
+const recordApprovalFailure = async (req) => {
+  const limits = await getLimits();
+  const ip = req.ip;
+  const userLocked = await countFailure(approvalUserKey(req.user.userId), limits.approvalMaxAttempts, limits.loginLockoutMinutes, limits);
+  const ipLocked = await countFailure(approvalIpKey(ip), limits.approvalIpMaxAttempts, limits.loginIpWindowMinutes, limits);
+  if (userLocked || ipLocked) {
+    await SecurityEvent.create({
+      type: 'approval_locked',
+      email: req.user.email,
+      user: req.user.userId,
+      ip,
+      userAgent: req.headers['user-agent'],
+      details: {
+        lockoutMinutes: limits.loginLockoutMinutes,
+        attempts: userLocked ? limits.approvalMaxAttempts : limits.approvalIpMaxAttempts,
+        scope: userLocked ? 'user' : 'ip'
+      }
+    });
+    console.warn(`Approval codes locked for ${userLocked ? `user ${req.user.userId}` : `ip ${ip}`} after repeated wrong codes`);
+  }
+};
+
+// Rate limit for endpoints that send mail: counts one request against a key in a fixed window
+// (stored as a throttle counter) and returns false once the key has gone over `max`
+const allowRequest = async (key, max, windowMinutes) => {
+  const now = new Date();
+  await LoginThrottle.deleteOne({ key, firstFailureAt: { $lt: new Date(now.getTime() - windowMinutes * MINUTE) } });
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $setOnInsert: { firstFailureAt: now, expiresAt: new Date(now.getTime() + windowMinutes * MINUTE) }
+    },
+    { upsert: true, new: true }
+  );
+  let throttle;
+  try {
+    throttle = await increment();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    throttle = await increment();
+  }
+  return throttle.failures <= max;
+};
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  unlockIp,
+  checkApprovalCode,
+  recordApprovalFailure,
+  allowRequest
+};
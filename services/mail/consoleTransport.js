@@ -0,0 +1,9 @@
+// Mail transport for local development: prints messages to the server log
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  }
+});
+
+module.exports = createConsoleTransport;
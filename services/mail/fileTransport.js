@@ -0,0 +1,14 @@
+// Mail transport for local setups without SMTP: writes each message to a JSON file
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+module.exports = createFileTransport;
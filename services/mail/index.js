@@ -0,0 +1,45 @@
+// Mail delivery. Every transport exposes send({ to, subject, text, html }).
+// Pick one with MAIL_TRANSPORT=console|file|smtp (defaults to console).
+const os = require('os');
+const path = require('path');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+
+let transport = null;
+
+const createTransport = () => {
+  const kind = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  switch (kind) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport({ dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'pharmacy-mail') });
+    case 'smtp':
+      if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set in .env file');
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || process.env.SMTP_USER
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+const getMailer = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Swap the transport (e.g. for a different provider) without touching callers
+const setMailer = (custom) => {
+  transport = custom;
+};
+
+const sendMail = (message) => getMailer().send(message);
+
+module.exports = { getMailer, setMailer, sendMail };
@@ -0,0 +1,20 @@
+// Mail transport for production: delivers through an SMTP server
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
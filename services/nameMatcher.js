@@ -0,0 +1,69 @@
+// Fuzzy medicine name matching. Clinics type the same drug in slightly different ways
+// ("Diarroban" / "Diaroban", "Panadol new" / "Panadol"), so exact lookups miss.
+
+const normalize = (str) => str.replace(/\s+/g, ' ').trim();
+const compact = (str) => str.replace(/\s+/g, '');
+const removePunctuation = (str) => str.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
+const baseName = (str) => str.replace(/\s+(new|old|latest|updated)\s*$/i, '').trim();
+
+// Lookup key for a name
+const nameKey = (name) => String(name || '').toLowerCase().trim();
+
+// Calculate string similarity (0-100)
+const similarity = (str1, str2) => {
+  const longer = str1.length > str2.length ? str1 : str2;
+  const shorter = str1.length > str2.length ? str2 : str1;
+  if (longer.length === 0) return 100;
+  const editDistance = [...shorter].reduce((prev, cur, i) => {
+    return prev + (cur !== longer[i] ? 1 : 0);
+  }, Math.abs(longer.length - shorter.length));
+  return ((longer.length - editDistance) / longer.length) * 100;
+};
+
+// How alike two names are, 0 (unrelated) to 100 (same apart from a "new"/"old" suffix)
+const nameScore = (a, b) => {
+  const key = nameKey(a);
+  const medKey = nameKey(b);
+  const base = baseName(key);
+  const baseKey = baseName(medKey);
+
+  // Exact and near-exact matches (highest priority)
+  if (base === baseKey) return 100;
+  if (normalize(key) === normalize(medKey)) return 95;
+  if (compact(key) === compact(medKey)) return 90;
+  if (compact(base) === compact(baseKey)) return 85;
+  if (normalize(base) === normalize(baseKey)) return 80;
+  if (compact(removePunctuation(key)) === compact(removePunctuation(medKey))) return 75;
+  if (removePunctuation(key) === removePunctuation(medKey)) return 70;
+
+  // String similarity for typos (e.g., Diarroban vs Diaroban)
+  const sim = similarity(compact(key), compact(medKey));
+  if (sim >= 85) return 65 + (sim - 85) * 2; // 65-95 range for high similarity
+
+  // Partial word matching - require high ratio and multiple word matches
+  const keyWords = key.split(/\s+/).filter(w => w.length > 2);
+  const medWords = medKey.split(/\s+/).filter(w => w.length > 2);
+  if (keyWords.length > 1 && medWords.length > 1) {
+    const matchedWords = keyWords.filter(word => medKey.includes(word));
+    const wordMatchRatio = matchedWords.length / keyWords.length;
+    // Only accept if most words match AND we have multiple matches
+    if (wordMatchRatio >= 0.8 && matchedWords.length >= 2) return 55 + (wordMatchRatio * 10);
+  }
+  return 0;
+};
+
+// Best scoring candidate name at or above minScore (65 avoids weak matches), or null
+const bestMatch = (name, candidates, minScore = 65) => {
+  let best = null;
+  let bestScore = 0;
+  for (const candidate of candidates) {
+    const score = nameScore(name, candidate);
+    if (score > bestScore && score >= minScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  }
+  return best ? { name: best, score: bestScore } : null;
+};
+
+module.exports = { nameKey, nameScore, bestMatch };
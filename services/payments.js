@@ -0,0 +1,60 @@
+// How sales are paid: split tenders over several methods, change given from cash, and the
+// cashier shift (models/Shift.js) the payment is taken in.
+const Shift = require('../models/Shift');
+const { getSetting } = require('./settings');
+
+const PAYMENT_METHODS = ['cash', 'card', 'mobile_wallet', 'credit'];
+
+// Error for payments that do not cover a sale (sent to the client as 400)
+const paymentError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Validate the tenders for an amount due: [{ method, amount, reference }]. Only cash can be
+// overpaid; the difference is the change given. Without tenders the amount is taken as exact cash.
+// Returns { payments, changeGiven }.
+const parsePayments = (payments, amountDue, { customerName } = {}) => {
+  const due = round(amountDue);
+  if (payments === undefined || payments === null || (Array.isArray(payments) && payments.length === 0)) {
+    return { payments: [{ method: 'cash', amount: due }], changeGiven: 0 };
+  }
+  if (!Array.isArray(payments)) throw paymentError('Payments must be a list');
+  const parsed = payments.map(payment => {
+    const amount = round(Number(payment.amount));
+    if (!PAYMENT_METHODS.includes(payment.method)) throw paymentError(`Unknown payment method ${payment.method}`);
+    if (!(amount > 0)) throw paymentError('Payment amounts must be above zero');
+    return { method: payment.method, amount, reference: payment.reference };
+  });
+  const tendered = round(parsed.reduce((sum, payment) => sum + payment.amount, 0));
+  if (tendered < due) throw paymentError(`Payments add up to ${tendered} but ${due} is due`);
+  const cash = parsed.filter(payment => payment.method === 'cash').reduce((sum, payment) => sum + payment.amount, 0);
+  const changeGiven = round(tendered - due);
+  if (changeGiven > cash) throw paymentError('Only cash can be overpaid');
+  if (parsed.some(payment => payment.method === 'credit') && !customerName) {
+    throw paymentError('A customer name is needed for sales on credit');
+  }
+  return { payments: parsed, changeGiven };
+};
+
+// The user's open shift in a clinic, or null. With the requireOpenShift setting on, payments
+// are refused outside a shift.
+const shiftFor = async (req, clinic, session = null) => {
+  const shift = await Shift.findOne({ cashier: req.user.userId, clinic, status: 'open' }).session(session);
+  if (!shift && await getSetting('requireOpenShift', false)) {
+    throw Object.assign(new Error('Open a shift before taking payments'), { status: 400 });
+  }
+  return shift;
+};
+
+// Amount taken per method over sales or invoices with payments; cash is net of change given
+const tenderTotals = (documents) => {
+  const totals = Object.fromEntries(PAYMENT_METHODS.map(method => [method, 0]));
+  documents.forEach(doc => {
+    (doc.payments || []).forEach(payment => { totals[payment.method] += payment.amount; });
+    totals.cash -= doc.changeGiven || 0;
+  });
+  Object.keys(totals).forEach(method => { totals[method] = round(totals[method]); });
+  return totals;
+};
+
+module.exports = { PAYMENT_METHODS, parsePayments, shiftFor, tenderTotals };
@@ -0,0 +1,180 @@
+// Selling prices. The clinic's price list (models/PriceList.js) gives the default rate at sale
+// time; rates outside the margin and discount limits need a single-use admin approval code, and
+// every rate that differs from the list price is logged as a price override.
+const crypto = require('crypto');
+const PriceList = require('../models/PriceList');
+const ApprovalCode = require('../models/ApprovalCode');
+const PriceOverride = require('../models/PriceOverride');
+const { getSettings } = require('./settings');
+const { checkApprovalCode, recordApprovalFailure } = require('./loginGuard');
+
+// Global settings for the limits, with their defaults (percentages)
+const PRICE_LIMIT_DEFAULTS = {
+  priceMinMarginPercent: 0, // Lowest rate: purchase price plus this margin
+  priceMaxDiscountPercent: 10, // Lowest rate: list price less this discount
+  priceMaxAboveListPercent: 0, // Highest rate: list price plus this (never above the MRP)
+  priceMaxMarkupPercent: 300 // Highest rate when there is no list price: purchase price plus this markup
+};
+
+// Error for a price that cannot be used; `lines` lists the lines and the limits they break
+const priceError = (status, message, lines) => Object.assign(new Error(message), { status, lines });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const hashApprovalCode = (code) => crypto.createHash('sha256').update(String(code).replace(/\s+/g, '')).digest('hex');
+
+// New 8-digit approval code: returns { code, codeHash }; show the code once, store only the hash
+const generateApprovalCode = () => {
+  const code = String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+  return { code, codeHash: hashApprovalCode(code) };
+};
+
+// Filter for price list entries of a clinic in force at `at`
+const inForce = (clinic, at) => ({
+  clinic,
+  effectiveFrom: { $lte: at },
+  $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+});
+
+// Price list entry in force for a medicine: its own entry, else one for its catalog product
+const currentPrice = async (medicine, at = new Date(), session = null) => {
+  const filter = inForce(medicine.clinic, at);
+  const own = await PriceList.findOne({ ...filter, medicine: medicine._id }).sort({ effectiveFrom: -1 }).session(session);
+  if (own || !medicine.product) return own;
+  return PriceList.findOne({ ...filter, product: medicine.product, medicine: null }).sort({ effectiveFrom: -1 }).session(session);
+};
+
+// Limits a rate breaks: [{ rule, message, limit }] where limit is the lowest or highest allowed rate
+const rateViolations = (rate, { listPrice, mrp, unitCost }, limits) => {
+  const violations = [];
+  if (unitCost > 0) {
+    const lowest = unitCost * (1 + limits.priceMinMarginPercent / 100);
+    if (rate < lowest) {
+      violations.push({ rule: 'min_margin', message: `Below cost plus ${limits.priceMinMarginPercent}% margin`, limit: round(lowest) });
+    }
+  }
+  if (listPrice !== null) {
+    const lowest = listPrice * (1 - limits.priceMaxDiscountPercent / 100);
+    if (rate < lowest) {
+      violations.push({ rule: 'max_discount', message: `More than ${limits.priceMaxDiscountPercent}% below the list price`, limit: round(lowest) });
+    }
+    const highest = listPrice * (1 + limits.priceMaxAboveListPercent / 100);
+    if (rate > highest) {
+      violations.push({ rule: 'above_list', message: `More than ${limits.priceMaxAboveListPercent}% above the list price`, limit: round(highest) });
+    }
+  } else if (unitCost > 0) {
+    const highest = unitCost * (1 + limits.priceMaxMarkupPercent / 100);
+    if (rate > highest) {
+      violations.push({ rule: 'max_markup', message: `More than ${limits.priceMaxMarkupPercent}% above cost`, limit: round(highest) });
+    }
+  }
+  if (mrp !== null && rate > mrp) violations.push({ rule: 'above_mrp', message: 'Above the MRP', limit: mrp });
+  return violations;
+};
+
+// Rate for a sale line: the given rate, or the list price when none is given.
+// Returns { medicineName, rate, listPrice, mrp, unitCost, violations, override }; override is
+// true when the rate breaks a limit, differs from the list price or there is no list price.
+const priceLine = async (medicine, rate, { at = new Date(), limits, session } = {}) => {
+  const price = await currentPrice(medicine, at, session);
+  const listPrice = price ? price.retailPrice : null;
+  const mrp = price?.mrp ?? null;
+  const given = rate !== undefined && rate !== null && rate !== '';
+  if (!given && listPrice === null) throw priceError(400, `${medicine.name} has no list price; enter a rate`);
+  const charged = given ? Number(rate) : listPrice;
+  if (!(charged >= 0)) throw priceError(400, 'Rate must be zero or more');
+  const unitCost = medicine.purchasePrice ?? null;
+  const resolvedLimits = limits || await getSettings(PRICE_LIMIT_DEFAULTS);
+  const violations = rateViolations(charged, { listPrice, mrp, unitCost }, resolvedLimits);
+  return {
+    medicineName: medicine.name,
+    rate: charged,
+    listPrice,
+    mrp,
+    unitCost,
+    limits: resolvedLimits,
+    violations,
+    override: violations.length > 0 || listPrice === null || charged !== listPrice
+  };
+};
+
+// Check a priced line again at the rate it is actually sold at once discounts are taken off
+const applyNetRate = (pricing, netRate) => {
+  pricing.netRate = round(netRate);
+  pricing.violations = rateViolations(pricing.netRate, pricing, pricing.limits);
+  pricing.override = pricing.violations.length > 0 ||
+    pricing.listPrice === null || pricing.rate !== pricing.listPrice || pricing.netRate !== pricing.listPrice;
+  return pricing;
+};
+
+// Use up an approval code when any priced line breaks a limit (one code covers a whole checkout).
+// Returns the code used, or null when nothing needed approval. Throws 403 with the offending
+// lines when the code is missing, wrong, expired or already used. Wrong codes are counted per
+// user and per IP like failed logins, and 429 is thrown while the user or IP is locked out.
+const approvePrices = async (req, clinic, pricings, code, session = null) => {
+  const offending = pricings
+    .filter(pricing => pricing.violations.length > 0)
+    .map(({ medicineName, rate, netRate, listPrice, violations }) => ({ medicineName, rate, netRate, listPrice, violations }));
+  if (offending.length === 0) return null;
+  if (!code) throw priceError(403, 'This price needs an admin approval code', offending);
+  const blocked = await checkApprovalCode(req);
+  if (blocked) {
+    throw priceError(429, `Too many wrong approval codes. Try again in ${blocked.retryAfter} seconds.`, offending);
+  }
+  const now = new Date();
+  const approval = await ApprovalCode.findOneAndUpdate(
+    {
+      codeHash: hashApprovalCode(code),
+      usedAt: null,
+      expiresAt: { $gt: now },
+      $or: [{ clinic: null }, { clinic }]
+    },
+    { usedAt: now, usedBy: req.user.userId, usedByName: req.user.name },
+    { new: true, session }
+  );
+  if (!approval) {
+    // Counted outside the sale's transaction, so the abort that follows does not undo it
+    await recordApprovalFailure(req);
+    throw priceError(403, 'Approval code is invalid, expired or already used', offending);
+  }
+  return approval;
+};
+
+// Log the overrides among priced sales. entries: [{ pricing, sale }]
+const recordOverrides = async (req, entries, approval, session = null) => {
+  const overrides = entries
+    .filter(({ pricing }) => pricing.override)
+    .map(({ pricing, sale }) => ({
+      clinic: sale.clinic,
+      sale: sale._id,
+      invoice: sale.invoice,
+      medicine: sale.medicine,
+      medicineName: sale.medicineName,
+      quantity: sale.quantity,
+      rate: pricing.rate,
+      netRate: pricing.netRate ?? pricing.rate,
+      listPrice: pricing.listPrice,
+      mrp: pricing.mrp,
+      unitCost: pricing.unitCost,
+      violations: pricing.violations,
+      approvalCode: pricing.violations.length > 0 ? approval?._id : undefined,
+      approvedBy: pricing.violations.length > 0 ? approval?.issuedBy : undefined,
+      approvedByName: pricing.violations.length > 0 ? approval?.issuedByName : undefined,
+      soldBy: req.user.userId,
+      soldByName: req.user.name
+    }));
+  if (overrides.length === 0) return [];
+  return PriceOverride.insertMany(overrides, { session });
+};
+
+module.exports = {
+  PRICE_LIMIT_DEFAULTS,
+  inForce,
+  currentPrice,
+  rateViolations,
+  priceLine,
+  applyNetRate,
+  approvePrices,
+  recordOverrides,
+  generateApprovalCode
+};
@@ -0,0 +1,36 @@
+// Storing user profile pictures through the storage backend
+const crypto = require('crypto');
+const { getStorage, fileUrl } = require('./storage');
+const { detectImageType } = require('./imageType');
+
+const MAX_PROFILE_PIC_BYTES = Number(process.env.PROFILE_PIC_MAX_BYTES) || 2 * 1024 * 1024;
+
+// Store an image as the user's profile picture and drop the previous file.
+// Returns the saved user, or null when the buffer is not a supported image.
+const saveProfilePic = async (user, buffer) => {
+  const image = detectImageType(buffer);
+  if (!image) return null;
+
+  const key = `avatars/${user._id}-${crypto.randomBytes(8).toString('hex')}${image.ext}`;
+  const storage = getStorage();
+  await storage.put(key, buffer, { contentType: image.type });
+
+  const previousKey = user.profilePicKey;
+  user.profilePicKey = key;
+  user.profilePic = fileUrl(key);
+  await user.save();
+
+  if (previousKey) await storage.remove(previousKey);
+  return user;
+};
+
+const removeProfilePic = async (user) => {
+  const previousKey = user.profilePicKey;
+  user.profilePicKey = undefined;
+  user.profilePic = undefined;
+  await user.save();
+  if (previousKey) await getStorage().remove(previousKey);
+  return user;
+};
+
+module.exports = { saveProfilePic, removeProfilePic, MAX_PROFILE_PIC_BYTES };
@@ -0,0 +1,92 @@
+// Discounts and sales tax on sale lines. Tax rates per product tax category come from the
+// taxRates and pricesIncludeTax settings, overridden per clinic (Clinic.taxRates, Clinic.pricesIncludeTax).
+const Clinic = require('../models/Clinic');
+const Product = require('../models/Product');
+const { getSettings } = require('./settings');
+
+const TAX_DEFAULTS = {
+  taxRates: { default: 0 }, // Percent per Product.taxCategory; 'default' covers everything else
+  pricesIncludeTax: true // Rates and list prices already include tax
+};
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// Error for a discount that cannot be applied (sent to the client as 400)
+const discountError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Tax settings for a clinic: { rates, pricesIncludeTax }
+const taxConfig = async (clinicId, session = null) => {
+  const settings = await getSettings(TAX_DEFAULTS);
+  const clinic = await Clinic.findById(clinicId, 'taxRates pricesIncludeTax').session(session);
+  return {
+    rates: { ...settings.taxRates, ...(clinic?.taxRates || {}) },
+    pricesIncludeTax: clinic?.pricesIncludeTax ?? settings.pricesIncludeTax
+  };
+};
+
+// Tax rate (percent) for a medicine, by its catalog product's tax category
+const taxRateFor = async (config, medicine, session = null) => {
+  const product = medicine.product ? await Product.findById(medicine.product, 'taxCategory').session(session) : null;
+  const category = product?.taxCategory || 'default';
+  return Number(config.rates[category] ?? config.rates.default ?? 0);
+};
+
+// Discount from a request body: { type: 'percent' | 'fixed', value }, or null for none
+const parseDiscount = (discount) => {
+  if (discount === undefined || discount === null || discount === '') return null;
+  const type = discount.type || 'fixed';
+  const value = Number(discount.value);
+  if (!DISCOUNT_TYPES.includes(type)) throw discountError('Discount type must be percent or fixed');
+  if (!(value >= 0)) throw discountError('Discount cannot be negative');
+  if (type === 'percent' && value > 100) throw discountError('Discount cannot be more than 100%');
+  return value === 0 ? null : { type, value };
+};
+
+// Amount a discount takes off `amount` (never more than the amount)
+const discountAmount = (amount, discount) => {
+  if (!discount) return 0;
+  const off = discount.type === 'percent' ? amount * discount.value / 100 : discount.value;
+  return round(Math.min(amount, off));
+};
+
+// Totals of a line: { subtotal, discountAmount, taxRate, taxAmount, total }. `extraDiscount` is the
+// line's share of an invoice discount. total is what the customer pays for the line.
+const lineTotals = ({ quantity, rate, discount, extraDiscount = 0, taxRate = 0, pricesIncludeTax = true }) => {
+  const subtotal = round(quantity * rate);
+  const discounted = round(Math.min(subtotal, discountAmount(subtotal, discount) + extraDiscount));
+  const net = subtotal - discounted;
+  const taxAmount = round(pricesIncludeTax ? net - net / (1 + taxRate / 100) : net * taxRate / 100);
+  return {
+    subtotal,
+    discountAmount: discounted,
+    taxRate,
+    taxAmount,
+    total: round(pricesIncludeTax ? net : net + taxAmount)
+  };
+};
+
+// Share an invoice discount over lines in proportion to their amounts (after line discounts).
+// Returns one amount per line; the last line takes the rounding difference.
+const spreadDiscount = (amounts, discount) => {
+  const sum = amounts.reduce((total, amount) => total + amount, 0);
+  const total = discountAmount(sum, discount);
+  let left = total;
+  return amounts.map((amount, i) => {
+    if (i === amounts.length - 1) return round(Math.min(amount, left));
+    const share = sum > 0 ? round(total * amount / sum) : 0;
+    left -= share;
+    return share;
+  });
+};
+
+module.exports = {
+  TAX_DEFAULTS,
+  taxConfig,
+  taxRateFor,
+  parseDiscount,
+  discountAmount,
+  lineTotals,
+  spreadDiscount
+};
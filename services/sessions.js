@@ -0,0 +1,132 @@
+// Issuing, rotating and revoking login sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Sessions end this long after login however often they are refreshed
+const SESSION_MAX_DAYS = Number(process.env.SESSION_MAX_DAYS) || 90;
+// Rotated-out refresh token hashes kept per session for reuse detection
+const PREVIOUS_HASHES_KEPT = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Refresh tokens slide forward on every use, but never past the session's maximum lifetime
+const refreshExpiry = (startedAt = new Date()) =>
+  new Date(Math.min(Date.now() + REFRESH_TOKEN_DAYS * DAY, startedAt.getTime() + SESSION_MAX_DAYS * DAY));
+
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    userId: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    clinic: user.clinic,
+    sid: session._id,
+    // verifyToken refuses these tokens until the temporary password is changed
+    ...(user.mustChangePassword ? { mustChangePassword: true } : {})
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a new session for a user that just logged in
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+  });
+  return { token: signAccessToken(user, session), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Exchange a refresh token for a new token pair. Returns null if the token is not usable.
+// loadUser is given the session's user id and should return the user (or null if they may no longer log in).
+const rotateSession = async (refreshToken, loadUser) => {
+  const hash = hashToken(refreshToken);
+  const session = await Session.findOne({ tokenHash: hash });
+
+  if (!session) {
+    // An old token from a rotated session is being replayed: kill that session
+    const reused = await Session.findOne({ previousHashes: hash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = 'refresh token reuse';
+      await reused.save();
+    }
+    return null;
+  }
+  if (session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'user unavailable');
+    return null;
+  }
+
+  // Claim the rotation atomically: of two refreshes with the same token only one matches
+  const now = new Date();
+  const nextToken = newRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), expiresAt: refreshExpiry(session.createdAt || now), lastUsedAt: now },
+      $push: { previousHashes: { $each: [hash], $slice: -PREVIOUS_HASHES_KEPT } }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // The token was used by a parallel refresh in the meantime, which counts as reuse
+    await revokeSession(session._id, 'refresh token reuse');
+    return null;
+  }
+
+  return { user, token: signAccessToken(user, rotated), refreshToken: nextToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every active session of a user; returns how many were revoked
+const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
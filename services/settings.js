@@ -0,0 +1,16 @@
+// Reading global settings with built-in defaults
+const GlobalSetting = require('../models/GlobalSetting');
+
+// Returns an object with one entry per key in `defaults`, using the stored value when there is one
+const getSettings = async (defaults) => {
+  const stored = await GlobalSetting.find({ key: { $in: Object.keys(defaults) } });
+  const values = { ...defaults };
+  stored.forEach(setting => {
+    if (setting.value !== null && setting.value !== undefined) values[setting.key] = setting.value;
+  });
+  return values;
+};
+
+const getSetting = async (key, defaultValue) => (await getSettings({ [key]: defaultValue }))[key];
+
+module.exports = { getSettings, getSetting };
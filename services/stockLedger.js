@@ -0,0 +1,67 @@
+// Writes the stock ledger (models/StockMovement.js). Call after changing a medicine's lots,
+// in the same transaction when there is one.
+const StockMovement = require('../models/StockMovement');
+const { stockOnHand } = require('./inventory');
+
+// lots: lot records as returned by services/inventory.js. Quantities are taken as positive
+// amounts and signed with `direction` (1 = into stock, -1 = out of stock); pass direction 1 for
+// records that are already signed (setQuantity). `stockAfter` is the medicine's stock once these
+// movements are applied; it defaults to its current stock.
+const recordMovements = async ({ medicine, type, direction = 1, lots, source, req, note, session, stockAfter }) => {
+  const entries = lots
+    .filter(lot => lot.quantity)
+    .map(lot => ({
+      medicine: medicine._id,
+      medicineName: medicine.name,
+      clinic: medicine.clinic,
+      lot: lot.lot,
+      batchNumber: lot.batchNumber,
+      expiryDate: lot.expiryDate,
+      type,
+      quantity: lot.quantity * direction,
+      unitCost: lot.purchasePrice ?? medicine.purchasePrice,
+      sourceType: source?.type,
+      sourceId: source?.id,
+      note,
+      actor: req?.user?.userId,
+      actorName: req?.user?.name
+    }));
+  if (entries.length === 0) return [];
+  // Running balance, ending at the medicine's stock after the change
+  let balance = (stockAfter ?? stockOnHand(medicine)) - entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  entries.forEach(entry => {
+    balance += entry.quantity;
+    entry.balanceAfter = balance;
+  });
+  return StockMovement.insertMany(entries, { session });
+};
+
+// Run the writes of a stock change in one transaction, so a medicine's stock and its ledger
+// entries are saved together or not at all. work(session) does the writes; its result is returned.
+const inStockTransaction = async (work) => {
+  const session = await StockMovement.startSession();
+  session.startTransaction();
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Ledger balance per medicine: { [medicineId]: quantity }
+const ledgerBalances = async (match = {}) => {
+  const rows = await StockMovement.aggregate([
+    { $match: match },
+    { $group: { _id: '$medicine', quantity: { $sum: '$quantity' } } }
+  ]);
+  const balances = {};
+  rows.forEach(row => { balances[String(row._id)] = row.quantity; });
+  return balances;
+};
+
+module.exports = { recordMovements, inStockTransaction, ledgerBalances };
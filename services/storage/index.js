@@ -0,0 +1,36 @@
+// Uploaded file storage. Every backend exposes put(key, buffer, { contentType }), get(key)
+// (a readable stream or null) and remove(key). Only the local disk backend exists today;
+// an object storage backend can be added here and picked with STORAGE_DRIVER.
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+
+let storage = null;
+
+const createStorage = () => {
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ dir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads') });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+// Stable public URL for a stored file (served by routes/fileRoutes.js)
+const fileUrl = (key) => `${process.env.PUBLIC_URL || ''}/api/files/${key}`;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+module.exports = { getStorage, fileUrl, contentTypeFor };
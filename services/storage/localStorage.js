@@ -0,0 +1,42 @@
+// File storage on the local disk. Keys are relative paths such as "avatars/abc.png".
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const createLocalStorage = ({ dir }) => {
+  const root = path.resolve(dir);
+
+  // Refuse keys that would escape the storage directory
+  const resolveKey = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+    return full;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+
+    // Returns a readable stream, or null if the key does not exist
+    async get(key) {
+      const file = resolveKey(key);
+      try {
+        await fsp.access(file);
+      } catch (err) {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
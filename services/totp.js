@@ -0,0 +1,97 @@
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps)
+// plus the recovery codes handed out when 2FA is enabled.
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for a counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side.
+// Returns the matching step (so callers can refuse replays) or null.
+const verifyTotp = (secret, code, window = 1) => {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Returns { codes, hashes }: show the codes once, store only the hashes
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  provisioningUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  hotp,
+  currentStep
+};